@@ -8,7 +8,18 @@ const rateLimit = require('express-rate-limit');
 const authRoutes = require('./routes/auth');
 const bookRoutes = require('./routes/books');
 const reviewRoutes = require('./routes/reviews');
+const workRoutes = require('./routes/works');
+const authorRoutes = require('./routes/authors');
+const seriesRoutes = require('./routes/series');
+const suggestionRoutes = require('./routes/suggestions');
+const searchRoutes = require('./routes/search');
+const uploadRoutes = require('./routes/uploads');
 const userRoutes = require('./routes/users');
+const shelfRoutes = require('./routes/shelves');
+const readingRoutes = require('./routes/reading');
+const challengeRoutes = require('./routes/challenges');
+const moderationRoutes = require('./routes/moderation');
+const adminRoutes = require('./routes/admin');
 
 // Load environment variables
 dotenv.config();
@@ -67,14 +78,28 @@ app.use((req, res, next) => {
   }
   next();
 });
-app.use(express.json({ limit: '30mb', extended: true }));
-app.use(express.urlencoded({ limit: '30mb', extended: true }));
+// Images are uploaded as multipart files, so JSON bodies can stay small.
+// Bulk imports send whole CSV files and get a larger limit.
+app.use('/api/books/import', express.json({ limit: '10mb' }));
+app.use(express.json({ limit: '1mb' }));
+app.use(express.urlencoded({ limit: '1mb', extended: true }));
 
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/books', bookRoutes);
+app.use('/api/works', workRoutes);
+app.use('/api/authors', authorRoutes);
+app.use('/api/series', seriesRoutes);
+app.use('/api/suggestions', suggestionRoutes);
+app.use('/api/search', searchRoutes);
 app.use('/api/reviews', reviewRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/shelves', shelfRoutes);
+app.use('/api/reading', readingRoutes);
+app.use('/api/challenges', challengeRoutes);
+app.use('/api/moderation', moderationRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/uploads', uploadRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
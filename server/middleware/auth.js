@@ -1,5 +1,25 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+
+// Resolve an access token to its user; the session it was issued for must still be active
+const authenticate = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret');
+  if (!decoded.sid) return null;
+
+  const session = await Session.findOne({
+    _id: decoded.sid,
+    user: decoded.id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+  if (!session) return null;
+
+  const user = await User.findById(decoded.id).select('-password +suspension');
+  if (!user || user.deletedAt) return null;
+
+  return { user, sessionId: session._id };
+};
 
 const auth = async (req, res, next) => {
   try {
@@ -9,14 +29,27 @@ const auth = async (req, res, next) => {
       return res.status(401).json({ message: 'No token, authorization denied' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret');
-    const user = await User.findById(decoded.id).select('-password');
+    const result = await authenticate(token);
     
-    if (!user) {
+    if (!result) {
       return res.status(401).json({ message: 'Token is not valid' });
     }
 
-    req.user = user;
+    const suspension = result.user.activeSuspension();
+    if (suspension) {
+      return res.status(403).json({
+        message: result.user.suspensionMessage(),
+        code: 'ACCOUNT_SUSPENDED',
+        suspension: {
+          kind: suspension.kind,
+          reason: suspension.reason,
+          expiresAt: suspension.expiresAt
+        }
+      });
+    }
+
+    req.user = result.user;
+    req.sessionId = result.sessionId;
     next();
   } catch (error) {
     console.error('Auth middleware error:', error);
@@ -43,9 +76,11 @@ const optionalAuth = async (req, res, next) => {
     const token = req.header('Authorization')?.replace('Bearer ', '');
     
     if (token) {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret');
-      const user = await User.findById(decoded.id).select('-password');
-      req.user = user;
+      const result = await authenticate(token);
+      if (result && !result.user.activeSuspension()) {
+        req.user = result.user;
+        req.sessionId = result.sessionId;
+      }
     }
     
     next();
@@ -54,4 +89,29 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-module.exports = { auth, adminAuth, optionalAuth };
\ No newline at end of file
+// Actions that require a verified email, e.g. VERIFIED_EMAIL_REQUIRED_FOR=reviews,books.
+// Empty by default so existing accounts are not locked out.
+const verifiedEmailRequiredFor = () => {
+  return (process.env.VERIFIED_EMAIL_REQUIRED_FOR || '')
+    .split(',')
+    .map(action => action.trim())
+    .filter(Boolean);
+};
+
+// Must run after auth. Admins are always allowed through.
+const requireVerified = (action) => (req, res, next) => {
+  if (
+    req.user.isVerified ||
+    req.user.role === 'admin' ||
+    !verifiedEmailRequiredFor().includes(action)
+  ) {
+    return next();
+  }
+
+  res.status(403).json({
+    message: 'Please verify your email address before continuing',
+    code: 'EMAIL_NOT_VERIFIED'
+  });
+};
+
+module.exports = { auth, adminAuth, optionalAuth, requireVerified };
\ No newline at end of file
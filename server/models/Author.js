@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+const { searchKeys } = require('../utils/prefixSearch');
+
+const CREDIT_ROLES = ['author', 'co-author', 'editor', 'translator', 'illustrator', 'narrator', 'foreword'];
+
+// Lowercase, drop accents, punctuation and spaces, so that "J.R.R. Tolkien",
+// "JRR Tolkien" and "j. r. r. tolkien" all compare equal
+const normalizeName = (name) => {
+  return name
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '');
+};
+
+// Split a free-text byline such as "Neil Gaiman & Terry Pratchett" into names
+const splitAuthorNames = (byline) => {
+  return byline
+    .split(/\s*(?:&|;|\band\b)\s*/i)
+    .map(name => name.trim())
+    .filter(Boolean);
+};
+
+const authorSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // Other spellings and pen names that should resolve to this author
+  aliases: [{
+    type: String,
+    trim: true,
+    maxlength: 100
+  }],
+  // Normalized name and aliases, kept in sync by the pre-validate hook
+  normalizedNames: {
+    type: [String],
+    select: false
+  },
+  // Name and alias words for typeahead search
+  searchKeys: {
+    type: [String],
+    select: false
+  },
+  bio: {
+    type: String,
+    maxlength: 5000
+  },
+  photo: {
+    type: String,
+    default: ''
+  },
+  birthDate: Date,
+  deathDate: Date,
+  website: {
+    type: String,
+    trim: true
+  },
+  followersCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+authorSchema.index({ normalizedNames: 1 });
+authorSchema.index({ searchKeys: 1 });
+authorSchema.index({ name: 'text', aliases: 'text' });
+
+authorSchema.pre('validate', function(next) {
+  if (this.isModified('name') || this.isModified('aliases')) {
+    this.normalizedNames = [...new Set([this.name, ...this.aliases].map(normalizeName).filter(Boolean))];
+    this.searchKeys = searchKeys(this.name, ...this.aliases);
+  }
+  next();
+});
+
+// Find an author by name or alias, ignoring punctuation and case
+authorSchema.statics.findByName = function(name) {
+  return this.findOne({ normalizedNames: normalizeName(name) });
+};
+
+// Find every author whose name or alias contains the given text
+authorSchema.statics.searchIds = function(text) {
+  const normalized = normalizeName(text);
+  if (!normalized) return Promise.resolve([]);
+  return this.find({ normalizedNames: { $regex: normalized } }).distinct('_id');
+};
+
+// Turn credits given by ID or name into { author, role } entries, creating
+// authors for names we have not seen before. Returns null if an ID is unknown.
+authorSchema.statics.resolveCredits = async function(credits, userId) {
+  const resolved = [];
+
+  for (const credit of credits) {
+    let author;
+    if (credit.author) {
+      author = await this.findById(credit.author);
+      if (!author) return null;
+    } else {
+      author = await this.findByName(credit.name) ||
+        await this.create({ name: credit.name, addedBy: userId });
+    }
+
+    const role = credit.role || 'author';
+    const duplicate = resolved.some(entry => entry.author._id.equals(author._id) && entry.role === role);
+    if (!duplicate) {
+      resolved.push({ author, role });
+    }
+  }
+
+  return resolved;
+};
+
+// Credits for a free-text byline: every name in it is credited as an author
+authorSchema.statics.creditsFromByline = function(byline, userId) {
+  const names = splitAuthorNames(byline);
+  return this.resolveCredits(names.map(name => ({ name, role: 'author' })), userId);
+};
+
+// The display byline for a set of resolved credits
+authorSchema.statics.bylineFor = function(credits) {
+  const names = credits
+    .filter(credit => credit.role === 'author' || credit.role === 'co-author')
+    .map(credit => credit.author.name);
+  const byline = (names.length > 0 ? names : credits.map(credit => credit.author.name)).join(', ');
+  return byline.length > 100 ? `${byline.slice(0, 97)}...` : byline;
+};
+
+authorSchema.statics.CREDIT_ROLES = CREDIT_ROLES;
+authorSchema.statics.normalizeName = normalizeName;
+authorSchema.statics.splitAuthorNames = splitAuthorNames;
+
+module.exports = mongoose.model('Author', authorSchema);
@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+// Book fields whose history is kept and which a revert restores
+const TRACKED_FIELDS = [
+  'title', 'author', 'authors', 'isbn', 'description', 'genre', 'subGenres',
+  'publishedDate', 'publisher', 'pageCount', 'language', 'coverImage',
+  'coverThumbnails', 'price', 'availability', 'tags', 'awards'
+];
+
+// Missing, empty strings, empty lists and empty objects all count as "no value"
+const normalize = (value) => {
+  if (value == null || value === '') return null;
+  if (Array.isArray(value) && value.length === 0) return null;
+  if (typeof value === 'object' && !(value instanceof Date) && !(value instanceof mongoose.Types.ObjectId) &&
+    !Array.isArray(value) && Object.values(value).every(item => normalize(item) === null)) {
+    return null;
+  }
+  return value;
+};
+
+const sameValue = (a, b) => JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+
+// One entry in a book's history: who created, changed, deleted or reverted it,
+// when, which fields changed and what the tracked fields looked like afterwards
+// (for deletions, what they looked like before)
+const bookRevisionSchema = new mongoose.Schema({
+  // Revisions outlive the book, so a deleted book's history can still be read
+  book: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Book',
+    required: true
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: ['create', 'update', 'delete', 'revert']
+  },
+  editor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changes: [{
+    _id: false,
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  snapshot: mongoose.Schema.Types.Mixed,
+  // For reverts, the revision that was restored
+  revertedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BookRevision'
+  },
+  // Where the edit came from when it wasn't a direct edit, e.g. an approved suggestion
+  note: {
+    type: String,
+    maxlength: 500
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+bookRevisionSchema.index({ book: 1, createdAt: -1 });
+bookRevisionSchema.index({ editor: 1, createdAt: -1 });
+
+// The tracked fields of a book as plain values
+bookRevisionSchema.statics.snapshotOf = function(book) {
+  const data = book.toObject({ depopulate: true, virtuals: false });
+  return Object.fromEntries(TRACKED_FIELDS.map(field => [field, normalize(data[field])]));
+};
+
+// Field-level differences between two snapshots
+bookRevisionSchema.statics.diff = function(before, after) {
+  return TRACKED_FIELDS
+    .filter(field => !sameValue(before[field], after[field]))
+    .map(field => ({ field, from: normalize(before[field]), to: normalize(after[field]) }));
+};
+
+// Record a revision of `book`. `before` is snapshotOf(book) taken before the
+// change (omitted for creations). Updates that change nothing aren't recorded.
+bookRevisionSchema.statics.record = async function(book, { action, editor, before = {}, note, revertedTo }) {
+  if (action === 'delete') {
+    return this.create({ book: book._id, action, editor, snapshot: before, note });
+  }
+
+  const after = this.snapshotOf(book);
+  const changes = this.diff(before, after);
+
+  if (changes.length === 0 && action !== 'create') {
+    return null;
+  }
+
+  return this.create({ book: book._id, action, editor, changes, snapshot: after, note, revertedTo });
+};
+
+// Every cover URL a book has had, so uploads can be cleaned up once it is deleted
+bookRevisionSchema.statics.coverUrls = async function(bookId) {
+  const revisions = await this.find({ book: bookId }).select('snapshot.coverImage snapshot.coverThumbnails');
+  return revisions.flatMap(revision => [
+    revision.snapshot?.coverImage,
+    revision.snapshot?.coverThumbnails?.medium,
+    revision.snapshot?.coverThumbnails?.thumbnail
+  ]).filter(Boolean);
+};
+
+bookRevisionSchema.statics.TRACKED_FIELDS = TRACKED_FIELDS;
+
+module.exports = mongoose.model('BookRevision', bookRevisionSchema);
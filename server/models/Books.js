@@ -1,4 +1,9 @@
 const mongoose = require('mongoose');
+const Work = require('./Work');
+const Author = require('./Author');
+const { toIsbn13, isValidIsbn13 } = require('../utils/isbn');
+const { searchKeys } = require('../utils/prefixSearch');
+const { trigrams } = require('../utils/fuzzy');
 
 const bookSchema = new mongoose.Schema({
   title: {
@@ -13,11 +18,36 @@ const bookSchema = new mongoose.Schema({
     trim: true,
     maxlength: 100
   },
+  // Everyone credited on this edition. `author` above is the display byline.
+  authors: [{
+    _id: false,
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Author',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: Author.CREDIT_ROLES,
+      default: 'author'
+    }
+  }],
+  // Stored in canonical ISBN-13 form; ISBN-10 and hyphenated input is converted
   isbn: {
     type: String,
     unique: true,
     sparse: true,
-    match: [/^(\d{10}|\d{13})$/, 'Please enter a valid ISBN']
+    set: value => (value ? toIsbn13(value) || value : value),
+    validate: {
+      // Only new values are checked, so books still holding a legacy invalid
+      // ISBN (listed by migrate:isbns) can be saved until it is fixed.
+      // Update queries have no isModified and always check the value they set.
+      validator: function(value) {
+        if (typeof this.isModified === 'function' && !this.isModified('isbn')) return true;
+        return isValidIsbn13(value);
+      },
+      message: 'Please enter a valid ISBN'
+    }
   },
   description: {
     type: String,
@@ -53,10 +83,25 @@ const bookSchema = new mongoose.Schema({
     required: true,
     default: 'English'
   },
+  // Large cover URL; uploaded covers are served from /api/uploads
   coverImage: {
     type: String,
-    required: true
+    default: ''
+  },
+  coverThumbnails: {
+    medium: String,
+    thumbnail: String
+  },
+  // Every Book is one edition of a Work
+  work: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Work'
+  },
+  primaryEdition: {
+    type: Boolean,
+    default: true
   },
+  // Work-level rating (across all editions), used for listings and sorting
   averageRating: {
     type: Number,
     default: 0,
@@ -67,6 +112,17 @@ const bookSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Rating from this edition's own reviews
+  editionAverageRating: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 5
+  },
+  editionRatingsCount: {
+    type: Number,
+    default: 0
+  },
   price: {
     amount: {
       type: Number,
@@ -86,10 +142,6 @@ const bookSchema = new mongoose.Schema({
     type: String,
     maxlength: 30
   }],
-  series: {
-    name: String,
-    number: Number
-  },
   awards: [{
     name: String,
     year: Number
@@ -103,9 +155,42 @@ const bookSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Set once an admin has checked a submitted book. New books start out
+  // unverified and wait in the admin review queue.
   verified: {
     type: Boolean,
     default: false
+  },
+  // Turned down by an admin; hidden from listings until its owner edits it
+  rejected: {
+    type: Boolean,
+    default: false
+  },
+  curation: {
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    note: {
+      type: String,
+      maxlength: 1000
+    }
+  },
+  // Title words for typeahead search, kept in sync by the hooks below
+  searchKeys: {
+    type: [String],
+    select: false
+  },
+  // Title and byline trigrams for fuzzy search, kept in sync the same way
+  searchTrigrams: {
+    type: [String],
+    select: false
+  },
+  // Duplicates merged into this book; their old IDs still resolve here
+  mergedIds: {
+    type: [mongoose.Schema.Types.ObjectId],
+    select: false
   }
 }, {
   timestamps: true
@@ -114,14 +199,53 @@ const bookSchema = new mongoose.Schema({
 // Index for search functionality
 bookSchema.index({ title: 'text', author: 'text', description: 'text', tags: 'text' });
 bookSchema.index({ genre: 1 });
+bookSchema.index({ language: 1 });
+bookSchema.index({ tags: 1 });
 bookSchema.index({ averageRating: -1 });
 bookSchema.index({ createdAt: -1 });
+bookSchema.index({ work: 1 });
+bookSchema.index({ 'authors.author': 1 });
+bookSchema.index({ primaryEdition: 1, createdAt: -1 });
+bookSchema.index({ mergedIds: 1 });
+bookSchema.index({ searchKeys: 1 });
+bookSchema.index({ searchTrigrams: 1 });
+bookSchema.index({ verified: 1, rejected: 1, createdAt: 1 });
+
+bookSchema.pre('validate', function(next) {
+  if (this.isModified('title')) {
+    this.searchKeys = searchKeys(this.title);
+  }
+  if (this.isModified('title') || this.isModified('author')) {
+    this.searchTrigrams = trigrams(`${this.title} ${this.author}`);
+  }
+  next();
+});
 
-// Update average rating when reviews change
+// findByIdAndUpdate (used by PUT /api/books/:id) skips the validate hook
+bookSchema.pre('findOneAndUpdate', async function() {
+  const update = this.getUpdate();
+  const title = update.title ?? update.$set?.title;
+  const author = update.author ?? update.$set?.author;
+  if (title) {
+    this.set('searchKeys', searchKeys(title));
+  }
+  if (title || author) {
+    // Trigrams cover both fields, so fill in whichever isn't being changed
+    const current = title && author
+      ? {}
+      : await this.model.findOne(this.getQuery()).select('title author').lean();
+    if (current) {
+      this.set('searchTrigrams', trigrams(`${title ?? current.title} ${author ?? current.author}`));
+    }
+  }
+});
+
+// Update average rating when reviews change. The edition's own rating is
+// stored here; the work-level rating is then recalculated across editions.
 bookSchema.methods.updateAverageRating = async function() {
   const Review = mongoose.model('Review');
   const stats = await Review.aggregate([
-    { $match: { book: this._id } },
+    { $match: { book: this._id, hidden: { $ne: true } } },
     {
       $group: {
         _id: '$book',
@@ -132,14 +256,29 @@ bookSchema.methods.updateAverageRating = async function() {
   ]);
 
   if (stats.length > 0) {
-    this.averageRating = Math.round(stats[0].averageRating * 10) / 10; // Round to 1 decimal
-    this.ratingsCount = stats[0].ratingsCount;
+    this.editionAverageRating = Math.round(stats[0].averageRating * 10) / 10; // Round to 1 decimal
+    this.editionRatingsCount = stats[0].ratingsCount;
   } else {
-    this.averageRating = 0;
-    this.ratingsCount = 0;
+    this.editionAverageRating = 0;
+    this.editionRatingsCount = 0;
+  }
+
+  const work = this.work && await Work.findById(this.work);
+  if (!work) {
+    // Not grouped into a work yet: the edition rating is all there is
+    this.averageRating = this.editionAverageRating;
+    this.ratingsCount = this.editionRatingsCount;
+    return this.save();
   }
 
-  return this.save();
+  await this.save();
+  await work.updateAverageRating();
+  return this;
+};
+
+// Find a book by ID, or the book it was merged into
+bookSchema.statics.findCurrent = async function(id) {
+  return (await this.findById(id)) || this.findOne({ mergedIds: id });
 };
 
 module.exports = mongoose.model('Book', bookSchema);
\ No newline at end of file
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+const MAX_DEPTH = 5;
+
+const commentSchema = new mongoose.Schema({
+  review: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Review',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Comment being replied to; null for top-level comments
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  // Top-level comment of the thread, so a whole thread loads in one query
+  root: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  depth: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: MAX_DEPTH
+  },
+  content: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  editedAt: Date,
+  // Deleted comments that still have replies keep their place in the thread
+  deleted: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+commentSchema.index({ review: 1, parent: 1, createdAt: 1 });
+commentSchema.index({ root: 1, createdAt: 1 });
+commentSchema.index({ user: 1 });
+
+// Recompute the visible comment count stored on a review
+commentSchema.statics.recount = async function(reviewId) {
+  const Review = mongoose.model('Review');
+  const count = await this.countDocuments({ review: reviewId, deleted: false });
+  await Review.updateOne({ _id: reviewId }, { commentsCount: count });
+  return count;
+};
+
+// Nest a flat list of thread comments under their top-level comments
+commentSchema.statics.buildThreads = function(topLevel, replies) {
+  const nodes = new Map();
+  [...topLevel, ...replies].forEach(comment => {
+    nodes.set(comment._id.toString(), { ...comment.toJSON(), replies: [] });
+  });
+
+  replies.forEach(reply => {
+    const parent = nodes.get(reply.parent.toString());
+    if (parent) {
+      parent.replies.push(nodes.get(reply._id.toString()));
+    }
+  });
+
+  return topLevel.map(comment => nodes.get(comment._id.toString()));
+};
+
+commentSchema.statics.MAX_DEPTH = MAX_DEPTH;
+
+// Hide the text of deleted comments
+commentSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    if (ret.deleted) {
+      ret.content = '[deleted]';
+      ret.user = null;
+    }
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Comment', commentSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// A pair of books that look like the same edition added twice, precomputed by
+// `npm run duplicates:compute` for GET /api/admin/books/duplicates
+const duplicateCandidateSchema = new mongoose.Schema({
+  // The two books, lower ID first
+  books: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Book'
+    }],
+    validate: [books => books.length === 2, 'A candidate is a pair of books']
+  },
+  score: {
+    type: Number,
+    required: true
+  },
+  similarity: {
+    title: Number,
+    author: Number,
+    year: Number
+  },
+  computedAt: {
+    type: Date,
+    required: true
+  }
+});
+
+duplicateCandidateSchema.index({ books: 1 });
+duplicateCandidateSchema.index({ score: -1 });
+
+module.exports = mongoose.model('DuplicateCandidate', duplicateCandidateSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// Book fields anyone may propose edits to
+const SUGGESTIBLE_FIELDS = [
+  'title', 'author', 'description', 'genre', 'subGenres', 'publishedDate',
+  'publisher', 'pageCount', 'language', 'isbn', 'tags', 'price', 'availability'
+];
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// A proposed edit to a book by someone who can't edit it directly. The book's
+// owner or an admin approves (applying every change) or rejects it.
+const editSuggestionSchema = new mongoose.Schema({
+  book: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Book',
+    required: true
+  },
+  proposedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Each change records the value it replaces, so approving an edit the book
+  // has since moved on from can be refused
+  changes: [{
+    _id: false,
+    field: {
+      type: String,
+      required: true,
+      enum: SUGGESTIBLE_FIELDS
+    },
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  reviewNote: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+editSuggestionSchema.index({ book: 1, status: 1, createdAt: -1 });
+editSuggestionSchema.index({ proposedBy: 1, createdAt: -1 });
+editSuggestionSchema.index({ status: 1, createdAt: 1 });
+
+// Fields whose current value on the book no longer matches the one the
+// suggestion was made against
+editSuggestionSchema.methods.staleFields = function(book) {
+  const current = book.toObject();
+  return this.changes
+    .filter(change => !sameValue(current[change.field], change.from))
+    .map(change => change.field);
+};
+
+editSuggestionSchema.statics.SUGGESTIBLE_FIELDS = SUGGESTIBLE_FIELDS;
+editSuggestionSchema.statics.sameValue = sameValue;
+
+module.exports = mongoose.model('EditSuggestion', editSuggestionSchema);
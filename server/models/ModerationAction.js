@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// Audit trail of moderator and admin decisions. Reviews may be deleted later,
+// so review actions keep a snapshot of what the moderator saw.
+const moderationActionSchema = new mongoose.Schema({
+  moderator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: [
+      // Review moderation
+      'dismiss', 'hide', 'unhide', 'delete', 'warn',
+      // Account administration
+      'change-role', 'suspend', 'ban', 'lift-suspension', 'force-password-reset',
+      // Catalogue maintenance
+      'verify-book', 'reject-book', 'merge-books'
+    ]
+  },
+  review: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Review'
+  },
+  targetUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewSnapshot: {
+    book: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Book'
+    },
+    title: String,
+    content: String,
+    rating: Number
+  },
+  reports: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report'
+  }],
+  // Reason given to the affected user, e.g. for a warning or suspension
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  // Action-specific data, e.g. the old and new role or a suspension expiry
+  details: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: true
+});
+
+moderationActionSchema.index({ createdAt: -1 });
+moderationActionSchema.index({ review: 1, createdAt: -1 });
+moderationActionSchema.index({ targetUser: 1, createdAt: -1 });
+moderationActionSchema.index({ moderator: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ModerationAction', moderationActionSchema);
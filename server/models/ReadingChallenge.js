@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const ReadingUpdate = require('./ReadingUpdate');
+
+const readingChallengeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  year: {
+    type: Number,
+    required: true,
+    min: 1900,
+    max: 3000
+  },
+  targetBooks: {
+    type: Number,
+    min: 0,
+    max: 365
+  },
+  targetPages: {
+    type: Number,
+    min: 0,
+    max: 1000000
+  }
+}, {
+  timestamps: true
+});
+
+// One challenge per user per calendar year
+readingChallengeSchema.index({ user: 1, year: 1 }, { unique: true });
+
+// Books finished in the challenge year, counted from the user's finished
+// reading updates. Those stay put when a book later leaves the "Read" shelf or
+// is read again, so past years keep their totals. Years and months are UTC.
+readingChallengeSchema.methods.getProgress = async function() {
+  const yearStart = new Date(Date.UTC(this.year, 0, 1));
+  const yearEnd = new Date(Date.UTC(this.year + 1, 0, 1));
+
+  const monthly = await ReadingUpdate.aggregate([
+    {
+      $match: {
+        user: this.user,
+        type: 'finished',
+        createdAt: { $gte: yearStart, $lt: yearEnd }
+      }
+    },
+    {
+      $lookup: {
+        from: 'books',
+        localField: 'book',
+        foreignField: '_id',
+        as: 'bookInfo'
+      }
+    },
+    { $unwind: '$bookInfo' },
+    {
+      $group: {
+        _id: { $month: '$createdAt' },
+        booksRead: { $sum: 1 },
+        pagesRead: { $sum: '$bookInfo.pageCount' }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  const booksRead = monthly.reduce((sum, month) => sum + month.booksRead, 0);
+  const pagesRead = monthly.reduce((sum, month) => sum + month.pagesRead, 0);
+
+  // Share of the year elapsed, used to work out where the reader should be by now
+  const now = new Date();
+  const elapsed = Math.min(1, Math.max(0, (now - yearStart) / (yearEnd - yearStart)));
+
+  const schedule = (target, actual) => {
+    if (!target) return null;
+    const expected = Math.round(target * elapsed * 10) / 10;
+    const difference = Math.round((actual - expected) * 10) / 10;
+    return {
+      target,
+      actual,
+      expected,
+      difference,
+      percentage: Math.round((actual / target) * 100),
+      status: difference > 0 ? 'ahead' : difference < 0 ? 'behind' : 'on-track',
+      completed: actual >= target
+    };
+  };
+
+  return {
+    year: this.year,
+    booksRead,
+    pagesRead,
+    books: schedule(this.targetBooks, booksRead),
+    pages: schedule(this.targetPages, pagesRead),
+    monthlyProgress: monthly
+  };
+};
+
+module.exports = mongoose.model('ReadingChallenge', readingChallengeSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const readingUpdateSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  book: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Book',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['started', 'progress', 'finished'],
+    default: 'progress'
+  },
+  page: {
+    type: Number,
+    min: 0
+  },
+  totalPages: {
+    type: Number,
+    min: 1
+  },
+  percentage: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+readingUpdateSchema.index({ user: 1, book: 1, createdAt: -1 });
+readingUpdateSchema.index({ user: 1, createdAt: -1 });
+
+// Fill in whichever of page/percentage was not given
+readingUpdateSchema.pre('validate', function(next) {
+  if (this.totalPages) {
+    if (this.page != null && this.percentage == null) {
+      this.percentage = Math.min(100, Math.round((this.page / this.totalPages) * 1000) / 10);
+    } else if (this.percentage != null && this.page == null) {
+      this.page = Math.round((this.percentage / 100) * this.totalPages);
+    }
+  }
+  next();
+});
+
+module.exports = mongoose.model('ReadingUpdate', readingUpdateSchema);
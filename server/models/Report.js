@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const REPORT_REASONS = ['spam', 'harassment', 'hate-speech', 'spoilers', 'off-topic', 'inappropriate', 'other'];
+
+const reportSchema = new mongoose.Schema({
+  review: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Review',
+    required: true
+  },
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    enum: REPORT_REASONS
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  status: {
+    type: String,
+    enum: ['open', 'dismissed', 'actioned'],
+    default: 'open'
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: Date
+}, {
+  timestamps: true
+});
+
+// One report per user per review
+reportSchema.index({ review: 1, reporter: 1 }, { unique: true });
+reportSchema.index({ status: 1, createdAt: -1 });
+
+// Close the open reports on reviews that have been deleted, so they leave the
+// moderation queue. They are kept, as moderation actions may refer to them.
+reportSchema.statics.closeForDeletedReviews = function(reviewIds) {
+  return this.updateMany(
+    { review: { $in: reviewIds }, status: 'open' },
+    { status: 'dismissed', resolvedAt: new Date() }
+  );
+};
+
+reportSchema.statics.REPORT_REASONS = REPORT_REASONS;
+
+module.exports = mongoose.model('Report', reportSchema);
@@ -1,11 +1,17 @@
 const mongoose = require('mongoose');
 
 const reviewSchema = new mongoose.Schema({
+  // The edition reviewed
   book: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Book',
     required: true
   },
+  // Work the edition belongs to, so ratings roll up across editions
+  work: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Work'
+  },
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -63,6 +69,10 @@ const reviewSchema = new mongoose.Schema({
     },
     isHelpful: Boolean
   }],
+  commentsCount: {
+    type: Number,
+    default: 0
+  },
   verified: {
     type: Boolean,
     default: false
@@ -71,6 +81,11 @@ const reviewSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Hidden by a moderator: excluded from public listings and the book's rating
+  hidden: {
+    type: Boolean,
+    default: false
+  },
   editHistory: [{
     editedAt: {
       type: Date,
@@ -85,6 +100,8 @@ const reviewSchema = new mongoose.Schema({
 // Compound index to ensure one review per user per book
 reviewSchema.index({ book: 1, user: 1 }, { unique: true });
 
+reviewSchema.index({ work: 1, createdAt: -1 });
+
 // Index for sorting by helpfulness and date
 reviewSchema.index({ helpful: -1, createdAt: -1 });
 
@@ -108,6 +125,42 @@ reviewSchema.virtual('readingDuration').get(function() {
   return daysDiff;
 });
 
+// Record the work of the reviewed edition
+reviewSchema.pre('save', async function(next) {
+  if (!this.isNew && !this.isModified('book')) return next();
+
+  try {
+    const Book = mongoose.model('Book');
+    const book = await Book.findById(this.book).select('work');
+    this.work = book?.work;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Default reading dates from the user's shelf entry when the review doesn't give them
+reviewSchema.pre('save', async function(next) {
+  if (!this.isNew || (this.readingStartDate && this.readingEndDate)) return next();
+
+  try {
+    const ShelfEntry = mongoose.model('ShelfEntry');
+    const entry = await ShelfEntry.findOne({
+      user: this.user,
+      book: this.book,
+      dateStarted: { $ne: null }
+    }).sort({ dateStarted: -1 });
+
+    if (entry) {
+      this.readingStartDate = this.readingStartDate || entry.dateStarted;
+      this.readingEndDate = this.readingEndDate || entry.dateFinished;
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Update book's average rating after review save/update/delete
 reviewSchema.post('save', async function() {
   const Book = mongoose.model('Book');
@@ -119,6 +172,9 @@ reviewSchema.post('save', async function() {
 
 reviewSchema.post('findOneAndDelete', async function(doc) {
   if (doc) {
+    await mongoose.model('Comment').deleteMany({ review: doc._id });
+    await mongoose.model('Report').closeForDeletedReviews([doc._id]);
+
     const Book = mongoose.model('Book');
     const book = await Book.findById(doc.book);
     if (book) {
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const Shelf = require('./Shelf');
+const { searchKeys } = require('../utils/prefixSearch');
+
+const seriesEntrySchema = new mongoose.Schema({
+  book: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Book',
+    required: true
+  },
+  // Reading order; fractional positions (1.5) fit novellas between books.
+  // Unnumbered entries sort after the numbered ones.
+  position: {
+    type: Number,
+    min: 0
+  },
+  // Optional display label such as "Novella" or "Prequel"
+  label: {
+    type: String,
+    trim: true,
+    maxlength: 50
+  }
+}, {
+  _id: false
+});
+
+const seriesSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  description: {
+    type: String,
+    maxlength: 2000
+  },
+  entries: [seriesEntrySchema],
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Name words for typeahead search
+  searchKeys: {
+    type: [String],
+    select: false
+  }
+}, {
+  timestamps: true
+});
+
+seriesSchema.index({ 'entries.book': 1 });
+seriesSchema.index({ name: 1 });
+seriesSchema.index({ searchKeys: 1 });
+
+seriesSchema.pre('validate', function(next) {
+  if (this.isModified('name')) {
+    this.searchKeys = searchKeys(this.name);
+  }
+  next();
+});
+
+const byPosition = (a, b) => {
+  if (a.position == null) return b.position == null ? 0 : 1;
+  if (b.position == null) return -1;
+  return a.position - b.position;
+};
+
+// Entries in reading order
+seriesSchema.methods.orderedEntries = function() {
+  return [...this.entries].sort(byPosition);
+};
+
+seriesSchema.methods.findEntry = function(bookId) {
+  const id = bookId._id || bookId;
+  return this.entries.find(entry => (entry.book._id || entry.book).equals(id));
+};
+
+// The entry already holding a position, ignoring the given book
+seriesSchema.methods.findConflict = function(position, exceptBookId) {
+  if (position == null) return null;
+  return this.entries.find(entry => (
+    entry.position === position &&
+    (!exceptBookId || !(entry.book._id || entry.book).equals(exceptBookId))
+  )) || null;
+};
+
+// Positions claimed by more than one book, e.g. from imported data.
+// Entries whose book was filtered out of the populate are skipped.
+seriesSchema.methods.conflicts = function() {
+  const booksByPosition = {};
+  this.entries.forEach(entry => {
+    if (entry.position == null || !entry.book) return;
+    (booksByPosition[entry.position] = booksByPosition[entry.position] || []).push(entry.book._id || entry.book);
+  });
+
+  return Object.entries(booksByPosition)
+    .filter(([, books]) => books.length > 1)
+    .map(([position, books]) => ({ position: Number(position), books }));
+};
+
+// The first entry, in reading order, that the user has not read in any edition.
+// Entries must have their books populated with at least `work`.
+seriesSchema.methods.nextUnreadFor = async function(userId) {
+  const Book = mongoose.model('Book');
+
+  const readBookIds = await Shelf.bookIds(userId, 'read');
+  const readWorkIds = await Book.find({ _id: { $in: readBookIds } }).distinct('work');
+  const readBooks = new Set(readBookIds.map(id => id.toString()));
+  const readWorks = new Set(readWorkIds.filter(Boolean).map(id => id.toString()));
+
+  return this.orderedEntries().find(entry => (
+    entry.book &&
+    !readBooks.has(entry.book._id.toString()) &&
+    !(entry.book.work && readWorks.has(entry.book.work.toString()))
+  )) || null;
+};
+
+module.exports = mongoose.model('Series', seriesSchema);
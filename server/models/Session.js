@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const { hashToken, createToken } = require('../utils/tokens');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Hash of the token that was rotated out last; reuse means it was stolen
+  previousTokenHash: {
+    type: String,
+    select: false
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  ip: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ refreshTokenHash: 1 });
+sessionSchema.index({ previousTokenHash: 1 });
+// Let MongoDB clean up expired sessions
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Whether the session can still be used
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Issue a new refresh token for this session, replacing the current one
+sessionSchema.methods.rotateRefreshToken = function() {
+  const { token, hash } = createToken(48);
+  this.previousTokenHash = this.refreshTokenHash;
+  this.refreshTokenHash = hash;
+  this.lastUsedAt = new Date();
+  this.expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+  return token;
+};
+
+// Start a new session for a user; returns the session and its refresh token
+sessionSchema.statics.start = async function(userId, req) {
+  const session = new this({
+    user: userId,
+    userAgent: req.get('User-Agent'),
+    ip: req.ip
+  });
+  const refreshToken = session.rotateRefreshToken();
+  await session.save();
+  return { session, refreshToken };
+};
+
+// Find the session a refresh token belongs to. A token that was already
+// rotated out revokes its session, since only a stolen copy would be replayed.
+sessionSchema.statics.findByRefreshToken = async function(token) {
+  const hash = hashToken(token);
+
+  const session = await this.findOne({ refreshTokenHash: hash })
+    .select('+refreshTokenHash +previousTokenHash');
+  if (session) {
+    return session.isActive ? session : null;
+  }
+
+  const reused = await this.findOne({ previousTokenHash: hash, revokedAt: null });
+  if (reused) {
+    reused.revokedAt = new Date();
+    await reused.save();
+  }
+  return null;
+};
+
+// Revoke every active session of a user, optionally keeping one
+sessionSchema.statics.revokeAll = function(userId, exceptSessionId) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+  return this.updateMany(filter, { revokedAt: new Date() });
+};
+
+sessionSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+const ShelfEntry = require('./ShelfEntry');
+const ReadingUpdate = require('./ReadingUpdate');
+
+// Built-in shelves every user has. A book sits on at most one of them.
+const BUILTIN_SHELVES = [
+  { key: 'want-to-read', name: 'Want to Read' },
+  { key: 'currently-reading', name: 'Currently Reading' },
+  { key: 'read', name: 'Read' }
+];
+const BUILTIN_KEYS = BUILTIN_SHELVES.map(shelf => shelf.key);
+
+const shelfSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  // Only set on built-in shelves
+  key: {
+    type: String,
+    enum: BUILTIN_KEYS
+  },
+  description: {
+    type: String,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+shelfSchema.index({ user: 1, name: 1 }, { unique: true });
+shelfSchema.index({ user: 1, key: 1 }, { unique: true, partialFilterExpression: { key: { $type: 'string' } } });
+
+shelfSchema.virtual('isBuiltin').get(function() {
+  return Boolean(this.key);
+});
+
+// Create any missing built-in shelves for a user and return them keyed by shelf key
+shelfSchema.statics.ensureDefaults = async function(userId) {
+  await this.bulkWrite(BUILTIN_SHELVES.map(shelf => ({
+    updateOne: {
+      filter: { user: userId, key: shelf.key },
+      update: { $setOnInsert: { user: userId, key: shelf.key, name: shelf.name } },
+      upsert: true
+    }
+  })));
+
+  const shelves = await this.find({ user: userId, key: { $in: BUILTIN_KEYS } });
+  return Object.fromEntries(shelves.map(shelf => [shelf.key, shelf]));
+};
+
+// Find a user's shelf by ObjectId or built-in key
+shelfSchema.statics.resolve = async function(userId, idOrKey) {
+  if (BUILTIN_KEYS.includes(idOrKey)) {
+    const defaults = await this.ensureDefaults(userId);
+    return defaults[idOrKey];
+  }
+  if (!mongoose.Types.ObjectId.isValid(idOrKey)) {
+    return null;
+  }
+  return this.findOne({ _id: idOrKey, user: userId });
+};
+
+// Put a book on this shelf. Placing it on a built-in shelf moves it off the
+// other built-in shelves, carrying its notes and dates along. A book newly put
+// on "Read" gets a finished reading update, dated when it was finished, with
+// `note` attached; reading challenges count those.
+shelfSchema.methods.addBook = async function(bookId, fields = {}, { note } = {}) {
+  let entry = await ShelfEntry.findOne({ shelf: this._id, book: bookId });
+  const finishing = this.key === 'read' && !entry;
+
+  if (!entry && this.key) {
+    const builtinShelves = await this.constructor.find({
+      user: this.user,
+      key: { $in: BUILTIN_KEYS },
+      _id: { $ne: this._id }
+    }).select('_id');
+    entry = await ShelfEntry.findOne({
+      shelf: { $in: builtinShelves.map(shelf => shelf._id) },
+      book: bookId
+    });
+    if (entry) {
+      entry.shelf = this._id;
+      entry.dateAdded = new Date();
+    }
+  }
+
+  if (!entry) {
+    entry = new ShelfEntry({ user: this.user, shelf: this._id, book: bookId });
+  }
+
+  ['notes', 'dateStarted', 'dateFinished'].forEach(field => {
+    if (fields[field] !== undefined) {
+      entry[field] = fields[field];
+    }
+  });
+
+  // Fill in reading dates implied by the shelf
+  if (this.key === 'currently-reading' && !entry.dateStarted) {
+    entry.dateStarted = new Date();
+  }
+  if (this.key === 'read' && !entry.dateFinished) {
+    entry.dateFinished = new Date();
+  }
+
+  await entry.save();
+
+  if (finishing) {
+    const book = await mongoose.model('Book').findById(bookId).select('pageCount');
+    await ReadingUpdate.create({
+      user: this.user,
+      book: bookId,
+      type: 'finished',
+      page: book?.pageCount,
+      totalPages: book?.pageCount,
+      note,
+      createdAt: entry.dateFinished
+    });
+  }
+
+  return entry;
+};
+
+// IDs of the books on one of a user's built-in shelves
+shelfSchema.statics.bookIds = async function(userId, key) {
+  const shelf = await this.findOne({ user: userId, key }).select('_id');
+  if (!shelf) return [];
+  return ShelfEntry.find({ shelf: shelf._id }).distinct('book');
+};
+
+// Number of books on each of a user's built-in shelves, keyed by shelf key
+shelfSchema.statics.builtinCounts = async function(userId) {
+  const shelves = await this.find({ user: userId, key: { $in: BUILTIN_KEYS } }).select('key');
+  const counts = await ShelfEntry.aggregate([
+    { $match: { shelf: { $in: shelves.map(shelf => shelf._id) } } },
+    { $group: { _id: '$shelf', count: { $sum: 1 } } }
+  ]);
+
+  const result = Object.fromEntries(BUILTIN_KEYS.map(key => [key, 0]));
+  counts.forEach(count => {
+    const shelf = shelves.find(shelf => shelf._id.equals(count._id));
+    result[shelf.key] = count.count;
+  });
+  return result;
+};
+
+// Keep the built-in shelves in step with a newly posted review. Books already
+// on the shelf the review implies are left alone.
+shelfSchema.statics.shelveReviewedBook = async function(userId, bookId, readingProgress) {
+  const key = readingProgress === 'currently-reading' ? 'currently-reading' : 'read';
+  const defaults = await this.ensureDefaults(userId);
+
+  const onShelf = await ShelfEntry.exists({ shelf: defaults[key]._id, book: bookId });
+  if (!onShelf) {
+    await defaults[key].addBook(bookId);
+  }
+};
+
+shelfSchema.statics.BUILTIN_SHELVES = BUILTIN_SHELVES;
+shelfSchema.statics.BUILTIN_KEYS = BUILTIN_KEYS;
+
+shelfSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Shelf', shelfSchema);
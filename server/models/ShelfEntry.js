@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const shelfEntrySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  shelf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shelf',
+    required: true
+  },
+  book: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Book',
+    required: true
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  dateAdded: {
+    type: Date,
+    default: Date.now
+  },
+  dateStarted: Date,
+  dateFinished: Date
+}, {
+  timestamps: true
+});
+
+// A book appears on a given shelf at most once
+shelfEntrySchema.index({ shelf: 1, book: 1 }, { unique: true });
+shelfEntrySchema.index({ user: 1, book: 1 });
+shelfEntrySchema.index({ shelf: 1, dateAdded: -1 });
+
+module.exports = mongoose.model('ShelfEntry', shelfEntrySchema);
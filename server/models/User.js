@@ -1,5 +1,10 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { hashToken, createToken } = require('../utils/tokens');
+const { searchKeys } = require('../utils/prefixSearch');
+
+const PASSWORD_RESET_TTL = 60 * 60 * 1000; // 1 hour
+const EMAIL_VERIFICATION_TTL = 24 * 60 * 60 * 1000; // 24 hours
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -43,24 +48,14 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  avatarThumbnail: {
+    type: String,
+    default: ''
+  },
   favoriteGenres: [{
     type: String,
     enum: ['Fiction', 'Non-Fiction', 'Mystery', 'Romance', 'Sci-Fi', 'Fantasy', 'Biography', 'History', 'Self-Help', 'Poetry']
   }],
-  readingGoal: {
-    type: Number,
-    min: 0,
-    max: 365,
-    default: 12
-  },
-  booksRead: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'Book'
-  }],
-  wishlist: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'Book'
-  }],
   followers: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -69,6 +64,10 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  followedAuthors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Author'
+  }],
   isVerified: {
     type: Boolean,
     default: false
@@ -77,11 +76,97 @@ const userSchema = new mongoose.Schema({
     type: String,
     enum: ['user', 'admin'],
     default: 'user'
-  }
+  },
+  passwordChangedAt: Date,
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  emailVerificationSentAt: {
+    type: Date,
+    select: false
+  },
+  // Set by an admin; the user cannot log in until they reset their password
+  passwordResetRequired: {
+    type: Boolean,
+    default: false,
+    select: false
+  },
+  // Active suspension or ban imposed by an admin
+  suspension: {
+    type: {
+      kind: {
+        type: String,
+        enum: ['suspended', 'banned']
+      },
+      reason: {
+        type: String,
+        maxlength: 500
+      },
+      // Bans may be permanent; suspensions always expire
+      expiresAt: Date,
+      issuedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      issuedAt: Date
+    },
+    select: false
+  },
+  // Moderator warnings; only visible to the user and admins
+  warnings: {
+    type: [{
+      reason: {
+        type: String,
+        maxlength: 1000
+      },
+      review: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Review'
+      },
+      issuedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      issuedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    select: false
+  },
+  // Username words for typeahead search
+  searchKeys: {
+    type: [String],
+    select: false
+  },
+  // Set when an account is deleted but kept as an anonymized placeholder
+  deletedAt: Date
 }, {
   timestamps: true
 });
 
+userSchema.index({ searchKeys: 1 });
+
+userSchema.pre('validate', function(next) {
+  if (this.isModified('username')) {
+    this.searchKeys = searchKeys(this.username);
+  }
+  next();
+});
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -89,6 +174,14 @@ userSchema.pre('save', async function(next) {
   try {
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+
+    // Any outstanding reset token is invalidated by a password change
+    this.passwordResetToken = undefined;
+    this.passwordResetExpires = undefined;
+    this.passwordResetRequired = false;
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date();
+    }
     next();
   } catch (error) {
     next(error);
@@ -100,6 +193,57 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// The suspension currently in force, or null. Requires the suspension field to be selected.
+userSchema.methods.activeSuspension = function() {
+  const suspension = this.suspension;
+  if (!suspension?.kind) return null;
+  if (suspension.expiresAt && suspension.expiresAt <= new Date()) return null;
+  return suspension;
+};
+
+// Message shown to a suspended or banned user
+userSchema.methods.suspensionMessage = function() {
+  const suspension = this.activeSuspension();
+  if (!suspension) return null;
+
+  const until = suspension.expiresAt ? ` until ${suspension.expiresAt.toISOString()}` : '';
+  const reason = suspension.reason ? `: ${suspension.reason}` : '';
+  return `Your account has been ${suspension.kind}${until}${reason}`;
+};
+
+// Create a single-use password reset token; only its hash is stored
+userSchema.methods.createPasswordResetToken = function() {
+  const { token, hash } = createToken();
+  this.passwordResetToken = hash;
+  this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL);
+  return token;
+};
+
+// Find the user owning an unexpired password reset token
+userSchema.statics.findByPasswordResetToken = function(token) {
+  return this.findOne({
+    passwordResetToken: hashToken(token),
+    passwordResetExpires: { $gt: new Date() }
+  });
+};
+
+// Create an email verification token; only its hash is stored
+userSchema.methods.createEmailVerificationToken = function() {
+  const { token, hash } = createToken();
+  this.emailVerificationToken = hash;
+  this.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_TTL);
+  this.emailVerificationSentAt = new Date();
+  return token;
+};
+
+// Find the user owning an unexpired email verification token
+userSchema.statics.findByEmailVerificationToken = function(token) {
+  return this.findOne({
+    emailVerificationToken: hashToken(token),
+    emailVerificationExpires: { $gt: new Date() }
+  });
+};
+
 // Get full name
 userSchema.virtual('fullName').get(function() {
   return `${this.firstName} ${this.lastName}`;
@@ -108,10 +252,8 @@ userSchema.virtual('fullName').get(function() {
 // Get user stats
 userSchema.virtual('stats').get(function() {
   return {
-    booksRead: this.booksRead.length,
     followers: this.followers.length,
-    following: this.following.length,
-    wishlistBooks: this.wishlist.length
+    following: this.following.length
   };
 });
 
@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+
+// A work groups the editions (Book documents) of the same book: hardcover,
+// paperback, translations and so on. Ratings roll up from every edition.
+const workSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  author: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // Edition shown when the work is listed
+  primaryEdition: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Book'
+  },
+  originalPublishedDate: Date,
+  averageRating: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 5
+  },
+  ratingsCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Create a work for an edition that does not belong to one yet
+workSchema.statics.createForEdition = async function(book) {
+  const work = await this.create({
+    title: book.title,
+    author: book.author,
+    primaryEdition: book._id,
+    originalPublishedDate: book.publishedDate
+  });
+
+  book.work = work._id;
+  book.primaryEdition = true;
+  await book.save();
+
+  return work;
+};
+
+// Recalculate the work's rating from the reviews of all its editions, and copy
+// it onto the editions so listings sort by the work-level rating
+workSchema.methods.updateAverageRating = async function() {
+  const Review = mongoose.model('Review');
+  const Book = mongoose.model('Book');
+
+  const stats = await Review.aggregate([
+    { $match: { work: this._id, hidden: { $ne: true } } },
+    {
+      $group: {
+        _id: '$work',
+        averageRating: { $avg: '$rating' },
+        ratingsCount: { $sum: 1 }
+      }
+    }
+  ]);
+
+  if (stats.length > 0) {
+    this.averageRating = Math.round(stats[0].averageRating * 10) / 10; // Round to 1 decimal
+    this.ratingsCount = stats[0].ratingsCount;
+  } else {
+    this.averageRating = 0;
+    this.ratingsCount = 0;
+  }
+
+  await Book.updateMany(
+    { work: this._id },
+    { averageRating: this.averageRating, ratingsCount: this.ratingsCount }
+  );
+
+  return this.save();
+};
+
+// Make one of the work's editions the primary one
+workSchema.methods.setPrimaryEdition = async function(book) {
+  const Book = mongoose.model('Book');
+
+  await Book.updateMany({ work: this._id, _id: { $ne: book._id } }, { primaryEdition: false });
+  await Book.updateOne({ _id: book._id }, { primaryEdition: true });
+
+  this.primaryEdition = book._id;
+  this.title = book.title;
+  this.author = book.author;
+  return this.save();
+};
+
+// Bring the work up to date after an edition joined, left or was deleted.
+// A work without editions is removed.
+workSchema.methods.refreshEditions = async function() {
+  const Book = mongoose.model('Book');
+
+  const editions = await Book.find({ work: this._id })
+    .sort({ editionRatingsCount: -1, publishedDate: 1 })
+    .select('title author publishedDate primaryEdition');
+
+  if (editions.length === 0) {
+    await this.deleteOne();
+    return null;
+  }
+
+  const earliest = editions.reduce((min, edition) => (
+    !min || (edition.publishedDate && edition.publishedDate < min) ? edition.publishedDate : min
+  ), null);
+  this.originalPublishedDate = earliest || this.originalPublishedDate;
+
+  const primary = editions.find(edition => edition._id.equals(this.primaryEdition));
+  if (!primary) {
+    await this.setPrimaryEdition(editions[0]);
+  }
+
+  return this.updateAverageRating();
+};
+
+module.exports = mongoose.model('Work', workSchema);
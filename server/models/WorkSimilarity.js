@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// The works most similar to a work by how the same readers rated them,
+// precomputed by `npm run recommendations:compute` for
+// GET /api/users/:id/recommendations
+const workSimilaritySchema = new mongoose.Schema({
+  work: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Work',
+    required: true,
+    unique: true
+  },
+  // Most similar first
+  neighbors: [{
+    _id: false,
+    work: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Work',
+      required: true
+    },
+    score: {
+      type: Number,
+      required: true
+    },
+    // Readers who rated both works
+    commonRaters: {
+      type: Number,
+      required: true
+    }
+  }],
+  computedAt: {
+    type: Date,
+    required: true
+  }
+});
+
+module.exports = mongoose.model('WorkSimilarity', workSimilaritySchema);
@@ -0,0 +1,634 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const User = require('../models/User');
+const Book = require('../models/Book');
+const Review = require('../models/Review');
+const Session = require('../models/Session');
+const ModerationAction = require('../models/ModerationAction');
+const { adminAuth } = require('../middleware/auth');
+const { sendMail } = require('../utils/mailer');
+const { findDuplicateCandidates, mergeBooks } = require('../utils/bookMerge');
+
+const router = express.Router();
+
+// Every route in this router is admin only
+router.use(adminAuth);
+
+// Admins must not lock themselves out
+const rejectSelf = (req, res) => {
+  if (req.params.id === req.user._id.toString()) {
+    res.status(400).json({ message: 'You cannot perform this action on your own account' });
+    return true;
+  }
+  return false;
+};
+
+// @route   GET /api/admin/users
+// @desc    List and search users, including emails and account status
+// @access  Admin only
+router.get('/users', [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('search').optional().isString(),
+  query('role').optional().isIn(['user', 'admin']),
+  query('status').optional().isIn(['active', 'suspended', 'banned', 'deleted']),
+  query('sortBy').optional().isIn(['username', 'email', 'createdAt']),
+  query('order').optional().isIn(['asc', 'desc'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Invalid query parameters',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    // Build filter object
+    const filter = {};
+
+    if (req.query.search) {
+      filter.$or = [
+        { username: { $regex: req.query.search, $options: 'i' } },
+        { email: { $regex: req.query.search, $options: 'i' } },
+        { firstName: { $regex: req.query.search, $options: 'i' } },
+        { lastName: { $regex: req.query.search, $options: 'i' } }
+      ];
+    }
+
+    if (req.query.role) filter.role = req.query.role;
+
+    const now = new Date();
+    const inForce = { $or: [{ 'suspension.expiresAt': null }, { 'suspension.expiresAt': { $gt: now } }] };
+    switch (req.query.status) {
+      case 'suspended':
+      case 'banned':
+        filter['suspension.kind'] = req.query.status;
+        filter.$and = [inForce];
+        break;
+      case 'deleted':
+        filter.deletedAt = { $ne: null };
+        break;
+      case 'active':
+        filter.deletedAt = null;
+        filter.$and = [{
+          $or: [
+            { 'suspension.kind': null },
+            { 'suspension.expiresAt': { $lte: now } }
+          ]
+        }];
+        break;
+    }
+
+    // Build sort object
+    const sortBy = req.query.sortBy || 'createdAt';
+    const order = req.query.order === 'asc' ? 1 : -1;
+    const sort = { [sortBy]: order };
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select('-password +suspension +passwordResetRequired')
+        .sort(sort)
+        .skip(skip)
+        .limit(limit),
+      User.countDocuments(filter)
+    ]);
+
+    res.json({
+      users,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin get users error:', error);
+    res.status(500).json({ message: 'Server error while fetching users' });
+  }
+});
+
+// @route   GET /api/admin/users/:id
+// @desc    Get a user's full account details, warnings and admin history
+// @access  Admin only
+router.get('/users/:id', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id)
+      .select('-password +suspension +passwordResetRequired +warnings')
+      .populate('warnings.issuedBy', 'username')
+      .populate('suspension.issuedBy', 'username');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const [reviewsCount, activeSessions, history] = await Promise.all([
+      Review.countDocuments({ user: user._id }),
+      Session.countDocuments({ user: user._id, revokedAt: null, expiresAt: { $gt: new Date() } }),
+      ModerationAction.find({ targetUser: user._id })
+        .sort({ createdAt: -1 })
+        .limit(50)
+        .populate('moderator', 'username')
+        .select('-__v')
+    ]);
+
+    res.json({
+      user,
+      reviewsCount,
+      activeSessions,
+      history
+    });
+
+  } catch (error) {
+    console.error('Admin get user error:', error);
+    res.status(500).json({ message: 'Server error while fetching user' });
+  }
+});
+
+// @route   PATCH /api/admin/users/:id/role
+// @desc    Change a user's role
+// @access  Admin only
+router.patch('/users/:id/role', [
+  body('role').isIn(['user', 'admin']).withMessage('Role must be "user" or "admin"'),
+  body('note').optional().trim().isLength({ max: 1000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (rejectSelf(req, res)) return;
+
+    const user = await User.findById(req.params.id);
+    if (!user || user.deletedAt) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const previousRole = user.role;
+    if (previousRole === req.body.role) {
+      return res.status(400).json({ message: `User already has the ${previousRole} role` });
+    }
+
+    user.role = req.body.role;
+    await user.save();
+
+    await ModerationAction.create({
+      moderator: req.user._id,
+      action: 'change-role',
+      targetUser: user._id,
+      note: req.body.note,
+      details: { from: previousRole, to: user.role }
+    });
+
+    res.json({
+      message: `Role changed to ${user.role}`,
+      user: { _id: user._id, username: user.username, role: user.role }
+    });
+
+  } catch (error) {
+    console.error('Admin change role error:', error);
+    res.status(500).json({ message: 'Server error while changing role' });
+  }
+});
+
+// @route   POST /api/admin/users/:id/suspension
+// @desc    Suspend (with expiry) or ban (optional expiry) a user
+// @access  Admin only
+router.post('/users/:id/suspension', [
+  body('kind').isIn(['suspended', 'banned']).withMessage('Kind must be "suspended" or "banned"'),
+  body('reason').trim().notEmpty().withMessage('A reason is required').isLength({ max: 500 }),
+  body('expiresAt')
+    .if(body('kind').equals('suspended'))
+    .notEmpty()
+    .withMessage('Suspensions need an expiry date'),
+  body('expiresAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Expiry must be a valid date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Expiry must be in the future'),
+  body('note').optional().trim().isLength({ max: 1000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (rejectSelf(req, res)) return;
+
+    const user = await User.findById(req.params.id).select('+suspension');
+    if (!user || user.deletedAt) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const { kind, reason, note } = req.body;
+    const expiresAt = req.body.expiresAt ? new Date(req.body.expiresAt) : undefined;
+
+    // Checked before the suspension is saved, so it always gets its audit entry
+    const auditEntry = new ModerationAction({
+      moderator: req.user._id,
+      action: kind === 'banned' ? 'ban' : 'suspend',
+      targetUser: user._id,
+      reason,
+      note,
+      details: { expiresAt: expiresAt || null }
+    });
+    await auditEntry.validate();
+
+    user.suspension = {
+      kind,
+      reason,
+      expiresAt,
+      issuedBy: req.user._id,
+      issuedAt: new Date()
+    };
+    await user.save();
+    await auditEntry.save();
+
+    res.json({
+      message: user.suspensionMessage(),
+      suspension: user.suspension
+    });
+
+  } catch (error) {
+    console.error('Admin suspend user error:', error);
+    res.status(500).json({ message: 'Server error while suspending user' });
+  }
+});
+
+// @route   DELETE /api/admin/users/:id/suspension
+// @desc    Lift a user's suspension or ban
+// @access  Admin only
+router.delete('/users/:id/suspension', [
+  body('note').optional().trim().isLength({ max: 1000 })
+], async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('+suspension');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.activeSuspension()) {
+      return res.status(400).json({ message: 'User is not suspended or banned' });
+    }
+
+    const previous = user.suspension.toObject();
+    user.suspension = undefined;
+    await user.save();
+
+    await ModerationAction.create({
+      moderator: req.user._id,
+      action: 'lift-suspension',
+      targetUser: user._id,
+      note: req.body?.note,
+      details: { kind: previous.kind, expiresAt: previous.expiresAt || null }
+    });
+
+    res.json({ message: 'Suspension lifted successfully' });
+
+  } catch (error) {
+    console.error('Admin lift suspension error:', error);
+    res.status(500).json({ message: 'Server error while lifting suspension' });
+  }
+});
+
+// @route   POST /api/admin/users/:id/force-password-reset
+// @desc    Sign a user out everywhere and require a password reset before their next login
+// @access  Admin only
+router.post('/users/:id/force-password-reset', [
+  body('note').optional().trim().isLength({ max: 1000 })
+], async (req, res) => {
+  try {
+    if (rejectSelf(req, res)) return;
+
+    const user = await User.findById(req.params.id);
+    if (!user || user.deletedAt) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const resetToken = user.createPasswordResetToken();
+    user.passwordResetRequired = true;
+    await user.save();
+
+    await Session.revokeAll(user._id);
+
+    const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+    const resetUrl = `${clientUrl}/reset-password/${resetToken}`;
+
+    let emailSent = true;
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'Please reset your Book Review password',
+        text: `Hi ${user.firstName},\n\n` +
+          `An administrator has required a password reset on your account, and you have been signed out on all devices. ` +
+          `Use the link below within the next hour to choose a new password:\n\n` +
+          `${resetUrl}\n\n` +
+          `If the link expires, you can request a new one from the "Forgot password" page.`
+      });
+    } catch (mailError) {
+      console.error('Forced reset email error:', mailError);
+      emailSent = false;
+    }
+
+    await ModerationAction.create({
+      moderator: req.user._id,
+      action: 'force-password-reset',
+      targetUser: user._id,
+      note: req.body?.note,
+      details: { emailSent }
+    });
+
+    res.json({
+      message: 'Password reset required; user has been signed out',
+      emailSent
+    });
+
+  } catch (error) {
+    console.error('Admin force password reset error:', error);
+    res.status(500).json({ message: 'Server error while forcing password reset' });
+  }
+});
+
+// @route   GET /api/admin/books/queue
+// @desc    Submitted books waiting for verification (oldest first), or ?status=rejected
+// @access  Admin only
+router.get('/books/queue', [
+  query('status').optional().isIn(['pending', 'rejected']),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Invalid query parameters',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const rejected = req.query.status === 'rejected';
+    const filter = { verified: false, rejected };
+
+    const [books, total] = await Promise.all([
+      Book.find(filter)
+        .sort({ createdAt: rejected ? -1 : 1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('addedBy', 'username firstName lastName')
+        .populate('curation.reviewedBy', 'username')
+        .select('-__v'),
+      Book.countDocuments(filter)
+    ]);
+
+    res.json({
+      books,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin get book queue error:', error);
+    res.status(500).json({ message: 'Server error while fetching review queue' });
+  }
+});
+
+// @route   POST /api/admin/books/:id/verify
+// @desc    Verify a submitted (or previously rejected) book
+// @access  Admin only
+router.post('/books/:id/verify', [
+  body('note').optional().trim().isLength({ max: 1000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const book = await Book.findById(req.params.id);
+    if (!book) {
+      return res.status(404).json({ message: 'Book not found' });
+    }
+
+    if (book.verified) {
+      return res.status(400).json({ message: 'Book is already verified' });
+    }
+
+    book.verified = true;
+    book.rejected = false;
+    book.curation = { reviewedBy: req.user._id, reviewedAt: new Date(), note: req.body?.note };
+    await book.save();
+
+    await ModerationAction.create({
+      moderator: req.user._id,
+      action: 'verify-book',
+      targetUser: book.addedBy,
+      note: req.body?.note,
+      details: { book: book._id, title: book.title }
+    });
+
+    res.json({
+      message: 'Book verified',
+      book
+    });
+
+  } catch (error) {
+    console.error('Admin verify book error:', error);
+    res.status(500).json({ message: 'Server error while verifying book' });
+  }
+});
+
+// @route   POST /api/admin/books/:id/reject
+// @desc    Reject a submitted book; it is hidden from listings until its owner edits it
+// @access  Admin only
+router.post('/books/:id/reject', [
+  body('reason').trim().notEmpty().withMessage('A reason is required').isLength({ max: 1000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const book = await Book.findById(req.params.id).populate('addedBy', 'email firstName');
+    if (!book) {
+      return res.status(404).json({ message: 'Book not found' });
+    }
+
+    if (book.rejected) {
+      return res.status(400).json({ message: 'Book is already rejected' });
+    }
+
+    book.verified = false;
+    book.rejected = true;
+    book.curation = { reviewedBy: req.user._id, reviewedAt: new Date(), note: req.body.reason };
+    await book.save();
+
+    let emailSent = false;
+    if (book.addedBy) {
+      const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+      try {
+        await sendMail({
+          to: book.addedBy.email,
+          subject: `Your book "${book.title}" needs changes`,
+          text: `Hi ${book.addedBy.firstName},\n\n` +
+            `"${book.title}" was not accepted into the catalogue for the following reason:\n\n` +
+            `${req.body.reason}\n\n` +
+            `It is hidden from listings for now. Once you have edited it, it will be reviewed again:\n\n` +
+            `${clientUrl}/books/${book._id}`
+        });
+        emailSent = true;
+      } catch (mailError) {
+        console.error('Book rejection email error:', mailError);
+      }
+    }
+
+    await ModerationAction.create({
+      moderator: req.user._id,
+      action: 'reject-book',
+      targetUser: book.addedBy?._id,
+      note: req.body.reason,
+      details: { book: book._id, title: book.title, emailSent }
+    });
+
+    res.json({
+      message: 'Book rejected',
+      book,
+      emailSent
+    });
+
+  } catch (error) {
+    console.error('Admin reject book error:', error);
+    res.status(500).json({ message: 'Server error while rejecting book' });
+  }
+});
+
+// @route   GET /api/admin/books/duplicates
+// @desc    Pairs of books that look like duplicates, by title, author and year
+//          similarity, as last computed by `npm run duplicates:compute`
+// @access  Admin only
+router.get('/books/duplicates', [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('minScore').optional().isFloat({ min: 0.5, max: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Invalid query parameters',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const { candidates, total } = await findDuplicateCandidates({
+      minScore: parseFloat(req.query.minScore) || undefined,
+      skip,
+      limit
+    });
+
+    res.json({
+      candidates,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin find duplicate books error:', error);
+    res.status(500).json({ message: 'Server error while finding duplicate books' });
+  }
+});
+
+// @route   POST /api/admin/books/:id/merge
+// @desc    Merge a duplicate book into this one; the duplicate's ID redirects here afterwards
+// @access  Admin only
+router.post('/books/:id/merge', [
+  body('source').isMongoId().withMessage('Valid duplicate book ID is required'),
+  body('note').optional().trim().isLength({ max: 1000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (req.body.source === req.params.id) {
+      return res.status(400).json({ message: 'A book cannot be merged into itself' });
+    }
+
+    const [target, source] = await Promise.all([
+      Book.findById(req.params.id).select('+mergedIds'),
+      Book.findById(req.body.source).select('+mergedIds')
+    ]);
+    if (!target) {
+      return res.status(404).json({ message: 'Book not found' });
+    }
+    if (!source) {
+      return res.status(404).json({ message: 'Duplicate book not found' });
+    }
+
+    const summary = await mergeBooks(target, source, { editor: req.user._id });
+
+    await ModerationAction.create({
+      moderator: req.user._id,
+      action: 'merge-books',
+      note: req.body.note,
+      details: {
+        book: target._id,
+        merged: { _id: source._id, title: source.title, author: source.author, isbn: source.isbn },
+        ...summary
+      }
+    });
+
+    res.json({
+      message: 'Books merged successfully',
+      book: target,
+      summary
+    });
+
+  } catch (error) {
+    console.error('Admin merge books error:', error);
+    res.status(500).json({ message: 'Server error while merging books' });
+  }
+});
+
+module.exports = router;
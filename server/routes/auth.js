@@ -2,14 +2,52 @@ const express = require('express');
 const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const Shelf = require('../models/Shelf');
+const ReadingChallenge = require('../models/ReadingChallenge');
 const { auth } = require('../middleware/auth');
+const { sendMail } = require('../utils/mailer');
+const { exportUserData, deleteUserData } = require('../utils/accountData');
+const { isInlineImage } = require('../utils/images');
+const { removeUploads } = require('../utils/storage');
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_SECRET || 'fallback_secret', {
-    expiresIn: '7d'
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const VERIFICATION_RESEND_INTERVAL = 60 * 1000; // 1 minute between verification emails
+
+// Generate short-lived JWT access token bound to a session
+const generateToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET || 'fallback_secret', {
+    expiresIn: ACCESS_TOKEN_TTL
+  });
+};
+
+// Start a new session and issue its access and refresh tokens
+const issueTokens = async (userId, req) => {
+  const { session, refreshToken } = await Session.start(userId, req);
+  return {
+    token: generateToken(userId, session._id),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+};
+
+// Issue a fresh verification token and email it to the user
+const sendVerificationEmail = async (user) => {
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save();
+
+  const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+  const verifyUrl = `${clientUrl}/verify-email/${verificationToken}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your Book Review email address',
+    text: `Hi ${user.firstName},\n\n` +
+      `Please confirm your email address by opening the link below within the next 24 hours:\n\n` +
+      `${verifyUrl}\n\n` +
+      `If you did not create an account, you can ignore this email.`
   });
 };
 
@@ -75,16 +113,26 @@ router.post('/register', [
 
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // A mail failure should not block registration; the user can ask for a resend
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
 
-    // Return user data without password
+    // Generate tokens
+    const tokens = await issueTokens(user._id, req);
+
+    // Return user data without password or verification token
     const userData = user.toObject();
     delete userData.password;
+    delete userData.emailVerificationToken;
+    delete userData.emailVerificationExpires;
+    delete userData.emailVerificationSentAt;
 
     res.status(201).json({
       message: 'User registered successfully',
-      token,
+      ...tokens,
       user: userData
     });
 
@@ -122,9 +170,9 @@ router.post('/login', [
         { email: login.toLowerCase() },
         { username: login }
       ]
-    });
+    }).select('+suspension +passwordResetRequired');
 
-    if (!user) {
+    if (!user || user.deletedAt) {
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
@@ -134,8 +182,28 @@ router.post('/login', [
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    const suspension = user.activeSuspension();
+    if (suspension) {
+      return res.status(403).json({
+        message: user.suspensionMessage(),
+        code: 'ACCOUNT_SUSPENDED',
+        suspension: {
+          kind: suspension.kind,
+          reason: suspension.reason,
+          expiresAt: suspension.expiresAt
+        }
+      });
+    }
+
+    if (user.passwordResetRequired) {
+      return res.status(403).json({
+        message: 'A password reset is required for this account. Check your email for a reset link.',
+        code: 'PASSWORD_RESET_REQUIRED'
+      });
+    }
+
+    // Generate tokens
+    const tokens = await issueTokens(user._id, req);
 
     // Return user data without password
     const userData = user.toObject();
@@ -143,7 +211,7 @@ router.post('/login', [
 
     res.json({
       message: 'Login successful',
-      token,
+      ...tokens,
       user: userData
     });
 
@@ -158,12 +226,12 @@ router.post('/login', [
 // @access  Private
 router.get('/me', auth, async (req, res) => {
   try {
-    const user = await User.findById(req.user._id)
-      .select('-password')
-      .populate('booksRead', 'title author coverImage')
-      .populate('wishlist', 'title author coverImage');
+    const [user, shelfCounts] = await Promise.all([
+      User.findById(req.user._id).select('-password'),
+      Shelf.builtinCounts(req.user._id)
+    ]);
 
-    res.json({ user });
+    res.json({ user, shelfCounts });
   } catch (error) {
     console.error('Get user error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -179,7 +247,12 @@ router.put('/profile', [
   body('lastName').optional().isLength({ max: 50 }),
   body('bio').optional().isLength({ max: 500 }),
   body('readingGoal').optional().isInt({ min: 0, max: 365 }),
-  body('favoriteGenres').optional().isArray()
+  body('favoriteGenres').optional().isArray(),
+  body('avatar')
+    .optional()
+    .not()
+    .custom(isInlineImage)
+    .withMessage('Upload avatars to POST /api/users/me/avatar instead of sending them inline')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -190,7 +263,7 @@ router.put('/profile', [
       });
     }
 
-    const allowedUpdates = ['firstName', 'lastName', 'bio', 'readingGoal', 'favoriteGenres', 'avatar'];
+    const allowedUpdates = ['firstName', 'lastName', 'bio', 'favoriteGenres', 'avatar'];
     const updates = {};
 
     allowedUpdates.forEach(field => {
@@ -199,12 +272,31 @@ router.put('/profile', [
       }
     });
 
+    // An avatar URL replaces any uploaded avatar and its thumbnail
+    const replacesAvatar = updates.avatar !== undefined && updates.avatar !== req.user.avatar;
+    if (replacesAvatar) {
+      updates.avatarThumbnail = '';
+    }
+
     const user = await User.findByIdAndUpdate(
       req.user._id,
       updates,
       { new: true, runValidators: true }
     ).select('-password');
 
+    if (replacesAvatar) {
+      await removeUploads([req.user.avatar, req.user.avatarThumbnail]);
+    }
+
+    // readingGoal is kept for older clients; it sets this year's book challenge
+    if (req.body.readingGoal !== undefined) {
+      await ReadingChallenge.findOneAndUpdate(
+        { user: req.user._id, year: new Date().getUTCFullYear() },
+        { targetBooks: req.body.readingGoal },
+        { upsert: true, runValidators: true }
+      );
+    }
+
     res.json({
       message: 'Profile updated successfully',
       user
@@ -246,6 +338,9 @@ router.post('/change-password', [
     user.password = newPassword;
     await user.save();
 
+    // Sign out every other device
+    await Session.revokeAll(user._id, req.sessionId);
+
     res.json({ message: 'Password changed successfully' });
 
   } catch (error) {
@@ -254,4 +349,340 @@ router.post('/change-password', [
   }
 });
 
+// @route   GET /api/auth/export
+// @desc    Download all personal data held for the current user
+// @access  Private
+router.get('/export', auth, async (req, res) => {
+  try {
+    const data = await exportUserData(req.user._id);
+
+    res.set('Content-Disposition', `attachment; filename="bookreview-export-${req.user.username}.json"`);
+    res.json(data);
+
+  } catch (error) {
+    console.error('Data export error:', error);
+    res.status(500).json({ message: 'Server error while exporting account data' });
+  }
+});
+
+// @route   DELETE /api/auth/account
+// @desc    Delete the current user's account
+// @access  Private
+router.delete('/account', [
+  auth,
+  body('password').notEmpty().withMessage('Password is required'),
+  body('reviews').optional().isIn(['delete', 'anonymize']).withMessage('reviews must be "delete" or "anonymize"')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    const isMatch = await user.comparePassword(req.body.password);
+    if (!isMatch) {
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+
+    const result = await deleteUserData(user._id, { reviews: req.body.reviews || 'delete' });
+
+    res.json({
+      message: 'Account deleted successfully',
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Account deletion error:', error);
+    res.status(500).json({ message: 'Server error while deleting account' });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token (rotates the refresh token)
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken').notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const session = await Session.findByRefreshToken(req.body.refreshToken);
+    if (!session) {
+      return res.status(401).json({ message: 'Refresh token is invalid or has expired' });
+    }
+
+    const user = await User.findById(session.user).select('+suspension');
+    if (!user || user.deletedAt) {
+      return res.status(401).json({ message: 'Refresh token is invalid or has expired' });
+    }
+    if (user.activeSuspension()) {
+      return res.status(403).json({ message: user.suspensionMessage(), code: 'ACCOUNT_SUSPENDED' });
+    }
+
+    const refreshToken = session.rotateRefreshToken();
+    session.userAgent = req.get('User-Agent');
+    session.ip = req.ip;
+    await session.save();
+
+    res.json({
+      token: generateToken(session.user, session._id),
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL
+    });
+
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({ message: 'Server error during token refresh' });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Log out of the current session
+// @access  Private
+router.post('/logout', auth, async (req, res) => {
+  try {
+    await Session.findByIdAndUpdate(req.sessionId, { revokedAt: new Date() });
+
+    res.json({ message: 'Logged out successfully' });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error during logout' });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the current user's active sessions
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .sort({ lastUsedAt: -1 })
+      .select('userAgent ip lastUsedAt expiresAt createdAt');
+
+    res.json({
+      sessions: sessions.map(session => ({
+        ...session.toJSON(),
+        current: session._id.toString() === req.sessionId.toString()
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Server error while fetching sessions' });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one of the current user's sessions
+// @access  Private
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    const session = await Session.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    res.json({ message: 'Session revoked successfully' });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Server error while revoking session' });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Revoke all of the current user's sessions (?keepCurrent=true keeps this one)
+// @access  Private
+router.delete('/sessions', auth, async (req, res) => {
+  try {
+    const keepCurrent = req.query.keepCurrent === 'true';
+    const result = await Session.revokeAll(req.user._id, keepCurrent ? req.sessionId : undefined);
+
+    res.json({
+      message: 'Sessions revoked successfully',
+      revoked: result.modifiedCount
+    });
+
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ message: 'Server error while revoking sessions' });
+  }
+});
+
+// @route   GET /api/auth/verify-email/:token
+// @desc    Verify email address using an emailed token
+// @access  Public
+router.get('/verify-email/:token', async (req, res) => {
+  try {
+    const user = await User.findByEmailVerificationToken(req.params.token);
+    if (!user) {
+      return res.status(400).json({ message: 'Verification token is invalid or has expired' });
+    }
+
+    user.isVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+
+    res.json({ message: 'Email verified successfully' });
+
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({ message: 'Server error during email verification' });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Resend the email verification link
+// @access  Private
+router.post('/resend-verification', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+emailVerificationSentAt');
+
+    if (user.isVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    const lastSent = user.emailVerificationSentAt?.getTime() || 0;
+    const retryAfter = Math.ceil((lastSent + VERIFICATION_RESEND_INTERVAL - Date.now()) / 1000);
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        message: `Please wait ${retryAfter} seconds before requesting another verification email`
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({ message: 'Verification email sent' });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Server error while sending verification email' });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', [
+  body('email')
+    .isString()
+    .withMessage('Please enter a valid email')
+    .bail()
+    .isEmail()
+    .withMessage('Please enter a valid email')
+    .normalizeEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Same response whether or not the account exists, to avoid leaking emails
+    const response = { message: 'If an account with that email exists, a password reset link has been sent' };
+
+    const user = await User.findOne({ email: req.body.email });
+    if (!user) {
+      return res.json(response);
+    }
+
+    const resetToken = user.createPasswordResetToken();
+    await user.save();
+
+    const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+    const resetUrl = `${clientUrl}/reset-password/${resetToken}`;
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your Book Review password',
+        text: `Hi ${user.firstName},\n\n` +
+          `Someone requested a password reset for your account. Use the link below within the next hour to choose a new password:\n\n` +
+          `${resetUrl}\n\n` +
+          `If you did not request this, you can ignore this email.`
+      });
+    } catch (mailError) {
+      // Logged only: an error here would reveal that the account exists
+      console.error('Password reset email error:', mailError);
+      user.passwordResetToken = undefined;
+      user.passwordResetExpires = undefined;
+      await user.save();
+    }
+
+    res.json(response);
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error while requesting password reset' });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Reset password using an emailed token
+// @access  Public
+router.post('/reset-password', [
+  body('token')
+    .isString()
+    .withMessage('Reset token is required')
+    .bail()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { token, newPassword } = req.body;
+
+    const user = await User.findByPasswordResetToken(token);
+    if (!user) {
+      return res.status(400).json({ message: 'Password reset token is invalid or has expired' });
+    }
+
+    // Saving a new password also clears the reset token
+    user.password = newPassword;
+    await user.save();
+
+    // Whoever had access before the reset should not keep it
+    await Session.revokeAll(user._id);
+
+    res.json({ message: 'Password has been reset successfully' });
+
+  } catch (error) {
+    console.error('Password reset error:', error);
+    res.status(500).json({ message: 'Server error during password reset' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,355 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const Author = require('../models/Author');
+const Book = require('../models/Book');
+const BookRevision = require('../models/BookRevision');
+const Review = require('../models/Review');
+const User = require('../models/User');
+const { auth, adminAuth, optionalAuth, requireVerified } = require('../middleware/auth');
+
+const router = express.Router();
+
+const authorValidators = [
+  body('aliases').optional().isArray({ max: 20 }).withMessage('Aliases must be a list of at most 20 names'),
+  body('aliases.*').trim().isLength({ min: 1, max: 100 }),
+  body('bio').optional().isLength({ max: 5000 }),
+  body('photo').optional().isString(),
+  body('birthDate').optional({ nullable: true }).isISO8601(),
+  body('deathDate').optional({ nullable: true }).isISO8601(),
+  body('website').optional().trim().isURL().withMessage('Website must be a valid URL')
+];
+
+const allowedUpdates = ['name', 'aliases', 'bio', 'photo', 'birthDate', 'deathDate', 'website'];
+
+// @route   GET /api/authors
+// @desc    List authors, optionally searching names and aliases
+// @access  Public
+router.get('/', [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 50 }),
+  query('search').optional().isString(),
+  query('sortBy').optional().isIn(['name', 'followersCount', 'createdAt']),
+  query('order').optional().isIn(['asc', 'desc'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Invalid query parameters',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.search) {
+      filter._id = { $in: await Author.searchIds(req.query.search) };
+    }
+
+    const sortBy = req.query.sortBy || 'name';
+    const order = req.query.order === 'desc' ? -1 : 1;
+    const sort = { [sortBy]: order };
+
+    const [authors, total] = await Promise.all([
+      Author.find(filter)
+        .sort(sort)
+        .skip(skip)
+        .limit(limit)
+        .select('name aliases photo followersCount'),
+      Author.countDocuments(filter)
+    ]);
+
+    res.json({
+      authors,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Get authors error:', error);
+    res.status(500).json({ message: 'Server error while fetching authors' });
+  }
+});
+
+// @route   GET /api/authors/following
+// @desc    Get the authors the current user follows
+// @access  Private
+router.get('/following', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select('followedAuthors')
+      .populate('followedAuthors', 'name photo followersCount');
+
+    res.json({ authors: user.followedAuthors });
+
+  } catch (error) {
+    console.error('Get followed authors error:', error);
+    res.status(500).json({ message: 'Server error while fetching followed authors' });
+  }
+});
+
+// @route   GET /api/authors/:id
+// @desc    Get an author with their bibliography and aggregate rating
+// @access  Public
+router.get('/:id', [
+  optionalAuth,
+  query('level').optional().isIn(['work', 'edition'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Invalid query parameters',
+        errors: errors.array()
+      });
+    }
+
+    const author = await Author.findById(req.params.id).select('-__v');
+    if (!author) {
+      return res.status(404).json({ message: 'Author not found' });
+    }
+
+    // Each work is listed once unless every edition is asked for
+    const bookFilter = { 'authors.author': author._id, rejected: { $ne: true } };
+    if (req.query.level !== 'edition') {
+      bookFilter.primaryEdition = { $ne: false };
+    }
+
+    const books = await Book.find(bookFilter)
+      .sort({ publishedDate: 1 })
+      .select('title author authors isbn publishedDate coverImage genre work averageRating ratingsCount');
+
+    const bibliography = books.map(book => ({
+      ...book.toObject(),
+      roles: book.authors
+        .filter(credit => credit.author.equals(author._id))
+        .map(credit => credit.role)
+    }));
+
+    // Rating across every review of every edition of the author's works
+    const workIds = await Book.distinct('work', { 'authors.author': author._id });
+    const [stats] = await Review.aggregate([
+      { $match: { work: { $in: workIds.filter(Boolean) }, hidden: { $ne: true } } },
+      {
+        $group: {
+          _id: null,
+          averageRating: { $avg: '$rating' },
+          ratingsCount: { $sum: 1 }
+        }
+      }
+    ]);
+
+    let isFollowing = false;
+    if (req.user) {
+      isFollowing = req.user.followedAuthors.some(id => id.equals(author._id));
+    }
+
+    res.json({
+      author,
+      bibliography,
+      stats: {
+        booksCount: bibliography.length,
+        averageRating: stats ? Math.round(stats.averageRating * 10) / 10 : 0,
+        ratingsCount: stats?.ratingsCount || 0
+      },
+      isFollowing
+    });
+
+  } catch (error) {
+    console.error('Get author error:', error);
+    res.status(500).json({ message: 'Server error while fetching author' });
+  }
+});
+
+// @route   POST /api/authors
+// @desc    Add an author
+// @access  Private
+router.post('/', [
+  auth,
+  requireVerified('books'),
+  body('name').trim().notEmpty().withMessage('Name is required').isLength({ max: 100 }),
+  ...authorValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const existingAuthor = await Author.findByName(req.body.name);
+    if (existingAuthor) {
+      return res.status(400).json({
+        message: 'An author with this name or alias already exists',
+        author: { _id: existingAuthor._id, name: existingAuthor.name }
+      });
+    }
+
+    const fields = {};
+    allowedUpdates.forEach(field => {
+      if (req.body[field] !== undefined) {
+        fields[field] = req.body[field];
+      }
+    });
+
+    const author = await Author.create({ ...fields, addedBy: req.user._id });
+
+    res.status(201).json({
+      message: 'Author added successfully',
+      author
+    });
+
+  } catch (error) {
+    console.error('Add author error:', error);
+    res.status(500).json({ message: 'Server error while adding author' });
+  }
+});
+
+// @route   PUT /api/authors/:id
+// @desc    Update an author's details and aliases
+// @access  Private (author record creator or admin)
+router.put('/:id', [
+  auth,
+  body('name').optional().trim().notEmpty().isLength({ max: 100 }),
+  ...authorValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const author = await Author.findById(req.params.id);
+    if (!author) {
+      return res.status(404).json({ message: 'Author not found' });
+    }
+
+    if (author.addedBy?.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Not authorized to update this author' });
+    }
+
+    if (req.body.name) {
+      const namesake = await Author.findByName(req.body.name);
+      if (namesake && !namesake._id.equals(author._id)) {
+        return res.status(400).json({
+          message: 'An author with this name or alias already exists',
+          author: { _id: namesake._id, name: namesake.name }
+        });
+      }
+    }
+
+    allowedUpdates.forEach(field => {
+      if (req.body[field] !== undefined) {
+        author[field] = req.body[field];
+      }
+    });
+    await author.save();
+
+    // Books keep their byline in sync with a renamed sole author
+    if (req.body.name) {
+      const filter = { authors: { $size: 1 }, 'authors.author': author._id, author: { $ne: author.name } };
+      const books = await Book.find(filter);
+
+      // Book by book rather than updateMany, so the findOneAndUpdate hook
+      // rebuilds each book's search trigrams from its own title; each update
+      // is then recorded in the book's history
+      for (const book of books) {
+        const before = BookRevision.snapshotOf(book);
+        await Book.findByIdAndUpdate(book._id, { author: author.name });
+        book.author = author.name;
+        await BookRevision.record(book, { action: 'update', editor: req.user._id, before, note: 'Author renamed' });
+      }
+    }
+
+    res.json({
+      message: 'Author updated successfully',
+      author
+    });
+
+  } catch (error) {
+    console.error('Update author error:', error);
+    res.status(500).json({ message: 'Server error while updating author' });
+  }
+});
+
+// @route   DELETE /api/authors/:id
+// @desc    Delete an author that is not credited on any book
+// @access  Admin only
+router.delete('/:id', adminAuth, async (req, res) => {
+  try {
+    const author = await Author.findById(req.params.id);
+    if (!author) {
+      return res.status(404).json({ message: 'Author not found' });
+    }
+
+    const creditedBooks = await Book.countDocuments({ 'authors.author': author._id });
+    if (creditedBooks > 0) {
+      return res.status(400).json({
+        message: `Author is credited on ${creditedBooks} book(s); update those books first`
+      });
+    }
+
+    await User.updateMany({ followedAuthors: author._id }, { $pull: { followedAuthors: author._id } });
+    await author.deleteOne();
+
+    res.json({ message: 'Author deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete author error:', error);
+    res.status(500).json({ message: 'Server error while deleting author' });
+  }
+});
+
+// @route   POST /api/authors/:id/follow
+// @desc    Follow/Unfollow an author
+// @access  Private
+router.post('/:id/follow', auth, async (req, res) => {
+  try {
+    const author = await Author.findById(req.params.id);
+    if (!author) {
+      return res.status(404).json({ message: 'Author not found' });
+    }
+
+    const currentUser = await User.findById(req.user._id);
+    const isFollowing = currentUser.followedAuthors.some(id => id.equals(author._id));
+
+    if (isFollowing) {
+      // Unfollow
+      currentUser.followedAuthors.pull(author._id);
+    } else {
+      // Follow
+      currentUser.followedAuthors.push(author._id);
+    }
+    await currentUser.save();
+
+    const updatedAuthor = await Author.findByIdAndUpdate(
+      author._id,
+      { $inc: { followersCount: isFollowing ? -1 : 1 } },
+      { new: true }
+    );
+
+    res.json({
+      message: isFollowing ? 'Author unfollowed' : 'Author followed',
+      isFollowing: !isFollowing,
+      followersCount: updatedAuthor.followersCount
+    });
+
+  } catch (error) {
+    console.error('Follow author error:', error);
+    res.status(500).json({ message: 'Server error while following author' });
+  }
+});
+
+module.exports = router;
@@ -1,23 +1,72 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, validationResult, query } = require('express-validator');
 const Book = require('../models/Book');
+const Work = require('../models/Work');
+const Author = require('../models/Author');
 const Review = require('../models/Review');
-const User = require('../models/User');
-const { auth, adminAuth, optionalAuth } = require('../middleware/auth');
+const Comment = require('../models/Comment');
+const Report = require('../models/Report');
+const Shelf = require('../models/Shelf');
+const ShelfEntry = require('../models/ShelfEntry');
+const Series = require('../models/Series');
+const ReadingUpdate = require('../models/ReadingUpdate');
+const EditSuggestion = require('../models/EditSuggestion');
+const BookRevision = require('../models/BookRevision');
+const DuplicateCandidate = require('../models/DuplicateCandidate');
+const { isValidIsbn, toIsbn13, toIsbn10 } = require('../utils/isbn');
+const { imageUpload, storeImage, isInlineImage } = require('../utils/images');
+const { removeUploads } = require('../utils/storage');
+const { importBooks, countRows, MAX_IMPORT_ROWS, IMPORT_FORMATS, IMPORT_FIELDS } = require('../utils/bookImport');
+const { facetFilters, computeFacets, fuzzyMatches } = require('../utils/bookSearch');
+const { cursorValidators, paginate } = require('../utils/pagination');
+const { auth, adminAuth, optionalAuth, requireVerified } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Credits may reference an existing author by ID or name a new one
+const creditValidators = [
+  body('authors').optional().isArray({ min: 1, max: 20 }).withMessage('Authors must be a list of 1 to 20 credits'),
+  body('authors.*.author').optional().isMongoId().withMessage('Valid author ID is required'),
+  body('authors.*.name').optional().trim().isLength({ min: 1, max: 100 }),
+  body('authors.*.role').optional().isIn(Author.CREDIT_ROLES).withMessage('Invalid credit role'),
+  body('authors.*')
+    .optional()
+    .custom(credit => Boolean(credit?.author || credit?.name))
+    .withMessage('Each credit needs an author ID or a name')
+];
+
 // @route   GET /api/books
-// @desc    Get all books with filtering and pagination
+// @desc    Get all books with filtering and pagination. The response's `facets`
+//          give result counts per genre, language, availability, tag, rating,
+//          page count range and decade for the current query (skip with ?facets=false).
+//          With ?searchMode=fuzzy, `search` also finds misspelt titles and authors
+//          ("tolkein", "hary potter"), ranked by similarity, and each book carries
+//          `match: { score, highlights }` giving the matched ranges of its title and author.
+//          Pages by ?page= or by the ?after= / ?before= cursors in `pagination`.
 // @access  Public
 router.get('/', [
   query('page').optional().isInt({ min: 1 }),
+  ...cursorValidators,
   query('limit').optional().isInt({ min: 1, max: 50 }),
   query('genre').optional().isString(),
+  query('language').optional().isString(),
+  query('availability').optional().isIn(Book.schema.path('availability').enumValues),
+  query('tags').optional().isString(),
+  query('minRating').optional().isFloat({ min: 0, max: 5 }),
+  query('minPages').optional().isInt({ min: 1 }),
+  query('maxPages').optional().isInt({ min: 1 }),
+  query('yearFrom').optional().isInt({ min: 0, max: 9999 }),
+  query('yearTo').optional().isInt({ min: 0, max: 9999 }),
+  query('facets').optional().isBoolean(),
   query('author').optional().isString(),
+  query('authorId').optional().isMongoId(),
   query('search').optional().isString(),
+  query('searchMode').optional().isIn(['exact', 'fuzzy']),
   query('sortBy').optional().isIn(['title', 'author', 'averageRating', 'createdAt', 'publishedDate']),
-  query('order').optional().isIn(['asc', 'desc'])
+  query('order').optional().isIn(['asc', 'desc']),
+  query('level').optional().isIn(['work', 'edition']),
+  query('verified').optional().isBoolean()
 ], async (req, res) => {
   try {
     console.log('POST /api/books received', { body: req.body, user: req.user?._id });
@@ -33,18 +82,35 @@ router.get('/', [
     const limit = parseInt(req.query.limit) || 12;
     const skip = (page - 1) * limit;
 
-    // Build filter object
-    const filter = {};
-    
-    if (req.query.genre) {
-      filter.genre = req.query.genre;
+    // Build filter object. By default each work is listed once, via its primary edition.
+    // Books turned down in the admin review queue are never listed.
+    const filter = { rejected: { $ne: true } };
+
+    if (req.query.level !== 'edition') {
+      filter.primaryEdition = { $ne: false };
+    }
+
+    if (req.query.verified !== undefined) {
+      filter.verified = req.query.verified === 'true';
     }
     
+    // Match the byline, or any credited author whose name or alias matches
     if (req.query.author) {
-      filter.author = { $regex: req.query.author, $options: 'i' };
+      const authorIds = await Author.searchIds(req.query.author);
+      filter.$or = [
+        { author: { $regex: req.query.author, $options: 'i' } },
+        { 'authors.author': { $in: authorIds } }
+      ];
+    }
+
+    // Cast here, as the facet aggregation does not cast query values
+    if (req.query.authorId) {
+      filter['authors.author'] = new mongoose.Types.ObjectId(req.query.authorId);
     }
     
-    if (req.query.search) {
+    const fuzzy = Boolean(req.query.search) && req.query.searchMode === 'fuzzy';
+
+    if (req.query.search && !fuzzy) {
       filter.$text = { $search: req.query.search };
     }
 
@@ -54,28 +120,75 @@ router.get('/', [
     const sort = { [sortBy]: order };
 
     // Add text score to sort if searching
-    if (req.query.search) {
+    if (req.query.search && !fuzzy) {
       sort.score = { $meta: 'textScore' };
     }
 
-    const books = await Book.find(filter)
-      .sort(sort)
-      .skip(skip)
-      .limit(limit)
-      .populate('addedBy', 'username firstName lastName')
-      .select('-__v');
+    // Genre, language, rating and the other facet filters
+    const filters = facetFilters(req.query);
+    const conditions = Object.assign({}, filter, ...Object.values(filters));
 
-    const total = await Book.countDocuments(filter);
-    const totalPages = Math.ceil(total / limit);
+    let books, pagination, facets;
 
-    res.json({
-      books,
-      pagination: {
+    if (fuzzy) {
+      // Results are ranked in memory, so there are only page numbers
+      if (req.query.after !== undefined || req.query.before !== undefined) {
+        return res.status(400).json({ message: 'Cursor pagination is not available for fuzzy search' });
+      }
+
+      // Near matches are ranked by similarity rather than sortBy
+      const matches = await fuzzyMatches(filter, req.query.search);
+      const matchIds = matches.map(match => match._id);
+
+      let results = matches;
+      if (Object.keys(filters).length > 0) {
+        const kept = await Book.find({ ...conditions, _id: { $in: matchIds } }).distinct('_id');
+        const keptIds = new Set(kept.map(id => id.toString()));
+        results = matches.filter(match => keptIds.has(match._id.toString()));
+      }
+
+      const pageMatches = results.slice(skip, skip + limit);
+      const [pageBooks, matchFacets] = await Promise.all([
+        Book.find({ _id: { $in: pageMatches.map(match => match._id) } })
+          .populate('addedBy', 'username firstName lastName')
+          .select('-__v'),
+        req.query.facets === 'false' ? undefined : computeFacets({ ...filter, _id: { $in: matchIds } }, filters)
+      ]);
+
+      const booksById = new Map(pageBooks.map(book => [book._id.toString(), book]));
+      books = pageMatches
+        .filter(match => booksById.has(match._id.toString()))
+        .map(({ _id, score, highlights }) => ({
+          ...booksById.get(_id.toString()).toJSON(),
+          match: { score, highlights }
+        }));
+      facets = matchFacets;
+      pagination = {
         current: page,
-        pages: totalPages,
-        total,
+        pages: Math.ceil(results.length / limit),
+        total: results.length,
         limit
-      }
+      };
+    } else {
+      let listed;
+      [listed, facets] = await Promise.all([
+        paginate(req, res, {
+          model: Book,
+          filter: conditions,
+          sort,
+          defaultLimit: 12,
+          build: q => q.populate('addedBy', 'username firstName lastName').select('-__v')
+        }),
+        req.query.facets === 'false' ? undefined : computeFacets(filter, filters)
+      ]);
+      if (!listed) return;
+      ({ items: books, pagination } = listed);
+    }
+
+    res.json({
+      books,
+      facets,
+      pagination
     });
 
   } catch (error) {
@@ -89,7 +202,7 @@ router.get('/', [
 // @access  Public
 router.get('/featured', async (req, res) => {
   try {
-    const books = await Book.find({ featured: true })
+    const books = await Book.find({ featured: true, rejected: { $ne: true } })
       .sort({ averageRating: -1, createdAt: -1 })
       .limit(8)
       .populate('addedBy', 'username firstName lastName')
@@ -111,6 +224,8 @@ router.get('/trending', async (req, res) => {
     oneMonthAgo.setMonth(oneMonthAgo.getMonth() - 1);
 
     const books = await Book.find({
+      primaryEdition: { $ne: false },
+      rejected: { $ne: true },
       createdAt: { $gte: oneMonthAgo },
       averageRating: { $gte: 4 },
       ratingsCount: { $gte: 3 }
@@ -127,57 +242,135 @@ router.get('/trending', async (req, res) => {
   }
 });
 
- // @route   GET /api/books/:id
-// @desc    Get single book by ID (includes paginated reviews)
+// @route   GET /api/books/isbn/:isbn
+// @desc    Look up a book by ISBN-10 or ISBN-13 (hyphens allowed)
 // @access  Public
-router.get('/:id', optionalAuth, async (req, res) => {
+router.get('/isbn/:isbn', async (req, res) => {
   try {
+    const isbn13 = toIsbn13(req.params.isbn);
+    if (!isbn13) {
+      return res.status(400).json({ message: 'Invalid ISBN' });
+    }
+
+    const book = await Book.findOne({ isbn: isbn13, rejected: { $ne: true } })
+      .populate('addedBy', 'username firstName lastName')
+      .populate('work', 'title author averageRating ratingsCount')
+      .populate('authors.author', 'name photo')
+      .select('-__v');
+
+    if (!book) {
+      return res.status(404).json({ message: 'No book found with this ISBN' });
+    }
+
+    res.json({
+      book,
+      isbn: { isbn13, isbn10: toIsbn10(isbn13) }
+    });
+
+  } catch (error) {
+    console.error('Get book by ISBN error:', error);
+    res.status(500).json({ message: 'Server error while fetching book' });
+  }
+});
+
+// @route   GET /api/books/:id
+// @desc    Get single book by ID (includes its other editions and paginated reviews;
+//          reviews cover the whole work unless ?scope=edition)
+// @access  Public
+router.get('/:id', [
+  optionalAuth,
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 50 }),
+  ...cursorValidators,
+  query('sortBy').optional().isIn(['createdAt', 'rating', 'helpful']),
+  query('order').optional().isIn(['asc', 'desc']),
+  query('scope').optional().isIn(['work', 'edition'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Invalid query parameters',
+        errors: errors.array()
+      });
+    }
+
     const book = await Book.findById(req.params.id)
       .populate('addedBy', 'username firstName lastName avatar')
+      .populate('work', 'title author averageRating ratingsCount originalPublishedDate')
+      .populate('authors.author', 'name photo')
       .select('-__v');
 
     if (!book) {
+      // A duplicate that was merged away: send clients on to the surviving book
+      const merged = await Book.findOne({ mergedIds: req.params.id }).select('_id');
+      if (merged) {
+        return res.status(301)
+          .location(`/api/books/${merged._id}`)
+          .json({ message: 'Book has been merged into another book', book: merged._id });
+      }
       return res.status(404).json({ message: 'Book not found' });
     }
 
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
+    // Rejected submissions stay visible to their owner (to fix and resubmit) and admins
+    const canManage = req.user &&
+      (book.addedBy?._id.equals(req.user._id) || req.user.role === 'admin');
+    if (book.rejected && !canManage) {
+      return res.status(404).json({ message: 'Book not found' });
+    }
+
+    const editions = book.work
+      ? await Book.find({ work: book.work._id, _id: { $ne: book._id }, rejected: { $ne: true } })
+        .sort({ primaryEdition: -1, publishedDate: 1 })
+        .select('title isbn publisher publishedDate pageCount language coverImage primaryEdition editionAverageRating editionRatingsCount')
+      : [];
+
+    // Series this book belongs to, with its place in each
+    const seriesList = await Series.find({ 'entries.book': book._id }).select('name entries');
+    const series = seriesList.map(item => {
+      const entry = item.findEntry(book._id);
+      return { _id: item._id, name: item.name, position: entry.position, label: entry.label };
+    });
+
+    const reviewFilter = book.work && req.query.scope !== 'edition'
+      ? { work: book.work._id, hidden: { $ne: true } }
+      : { book: book._id, hidden: { $ne: true } };
 
     const sortBy = req.query.sortBy || 'createdAt';
     const order = req.query.order === 'asc' ? 1 : -1;
     const sort = { [sortBy]: order };
 
-    const [reviews, totalReviews] = await Promise.all([
-      Review.find({ book: book._id })
+    const listed = await paginate(req, res, {
+      model: Review,
+      filter: reviewFilter,
+      sort,
+      defaultLimit: 10,
+      build: q => q
         .populate('user', 'username firstName lastName avatar')
-        .sort(sort)
-        .skip(skip)
-        .limit(limit)
+        .populate('book', 'title isbn publisher language')
         .select('-__v'),
-      Review.countDocuments({ book: book._id })
-    ]);
+      // helpful is an array of votes, which a cursor can't resume from
+      cursors: sortBy !== 'helpful'
+    });
+    if (!listed) return;
 
     // Check if current user has reviewed this book
     let userReview = null;
     if (req.user) {
       userReview = await Review.findOne({ 
-        book: book._id, 
+        ...(book.work ? { work: book.work._id } : { book: book._id }),
         user: req.user._id 
       }).populate('user', 'username firstName lastName avatar');
     }
 
     res.json({ 
       book, 
-      reviews,
+      editions,
+      series,
+      reviews: listed.items,
       userReview,
-      reviewsCount: totalReviews,
-      pagination: {
-        current: page,
-        pages: Math.ceil(totalReviews / limit),
-        total: totalReviews,
-        limit
-      }
+      reviewsCount: listed.pagination.total,
+      pagination: listed.pagination
     });
 
   } catch (error) {
@@ -191,6 +384,7 @@ router.get('/:id', optionalAuth, async (req, res) => {
 // @access  Private
 router.post('/:id/reviews', [
   auth,
+  requireVerified('reviews'),
   body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
   body('title').notEmpty().withMessage('Review title is required').isLength({ max: 100 }),
   body('content').notEmpty().withMessage('Review content is required').isLength({ max: 2000 }),
@@ -216,9 +410,9 @@ router.post('/:id/reviews', [
       return res.status(404).json({ message: 'Book not found' });
     }
 
-    // Check if user has already reviewed this book
+    // Check if user has already reviewed this book, in any edition
     const existingReview = await Review.findOne({
-      book: book._id,
+      $or: [{ book: book._id }, ...(book.work ? [{ work: book.work }] : [])],
       user: req.user._id
     });
 
@@ -236,12 +430,8 @@ router.post('/:id/reviews', [
     await review.populate('user', 'username firstName lastName avatar');
     await review.populate('book', 'title author coverImage');
 
-    // Add book to user's read books if not already there
-    const user = await User.findById(req.user._id);
-    if (user && !user.booksRead.includes(book._id)) {
-      user.booksRead.push(book._id);
-      await user.save();
-    }
+    // Shelve the book according to the review's reading progress
+    await Shelf.shelveReviewedBook(req.user._id, book._id, review.readingProgress);
 
     res.status(201).json({
       message: 'Review created successfully',
@@ -259,15 +449,26 @@ router.post('/:id/reviews', [
 // @access  Private
 router.post('/', [
   auth,
+  requireVerified('books'),
   body('title').notEmpty().withMessage('Title is required').isLength({ max: 200 }),
-  body('author').notEmpty().withMessage('Author is required').isLength({ max: 100 }),
+  body('author')
+    .if(body('authors').not().exists())
+    .notEmpty()
+    .withMessage('Author is required'),
+  body('author').optional().isLength({ max: 100 }),
+  ...creditValidators,
   body('description').notEmpty().withMessage('Description is required').isLength({ max: 2000 }),
   body('genre').notEmpty().withMessage('Genre is required'),
   body('publishedDate').notEmpty().withMessage('Published date is required').isISO8601(),
   body('publisher').notEmpty().withMessage('Publisher is required').isLength({ max: 100 }),
   body('pageCount').isInt({ min: 1 }).withMessage('Page count must be a positive number'),
-  body('coverImage').notEmpty().withMessage('Cover image is required'),
-  body('isbn').optional().matches(/^(\d{10}|\d{13})$/).withMessage('Invalid ISBN format')
+  body('coverImage')
+    .optional()
+    .not()
+    .custom(isInlineImage)
+    .withMessage('Upload cover images to POST /api/books/:id/cover instead of sending them inline'),
+  body('isbn').optional().custom(isValidIsbn).withMessage('Invalid ISBN').customSanitizer(toIsbn13),
+  body('work').optional().isMongoId().withMessage('Valid work ID is required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -278,21 +479,56 @@ router.post('/', [
       });
     }
 
-    // Check if book with same ISBN already exists
+    // Check if book with same ISBN already exists (ISBNs are compared as ISBN-13)
     if (req.body.isbn) {
       const existingBook = await Book.findOne({ isbn: req.body.isbn });
       if (existingBook) {
-        return res.status(400).json({ message: 'Book with this ISBN already exists' });
+        return res.status(400).json({
+          message: 'Book with this ISBN already exists',
+          book: { _id: existingBook._id, title: existingBook.title }
+        });
+      }
+    }
+
+    // Adding an edition of an existing work, or a new work?
+    const { work: workId, primaryEdition, ...fields } = req.body;
+    let work = null;
+    if (workId) {
+      work = await Work.findById(workId);
+      if (!work) {
+        return res.status(404).json({ message: 'Work not found' });
       }
     }
 
+    // Link the credits to Author records; the byline is derived if not given
+    const credits = fields.authors
+      ? await Author.resolveCredits(fields.authors, req.user._id)
+      : await Author.creditsFromByline(fields.author, req.user._id);
+    if (!credits) {
+      return res.status(404).json({ message: 'Author not found' });
+    }
+
     const book = new Book({
-      ...req.body,
-      addedBy: req.user._id
+      ...fields,
+      author: fields.author || Author.bylineFor(credits),
+      authors: credits.map(({ author, role }) => ({ author: author._id, role })),
+      work: work?._id,
+      primaryEdition: !work,
+      addedBy: req.user._id,
+      // Books from regular users wait in the admin review queue
+      verified: req.user.role === 'admin',
+      rejected: false,
+      curation: req.user.role === 'admin' ? { reviewedBy: req.user._id, reviewedAt: new Date() } : undefined
     });
 
     console.log('Saving book to DB...');
     await book.save();
+    await BookRevision.record(book, { action: 'create', editor: req.user._id });
+    if (work) {
+      await work.refreshEditions();
+    } else {
+      await Work.createForEdition(book);
+    }
     console.log('Book saved, populating addedBy...');
     await book.populate('addedBy', 'username firstName lastName');
     console.log('Book populated; sending response');
@@ -308,6 +544,66 @@ router.post('/', [
   }
 });
 
+// @route   POST /api/books/import
+// @desc    Bulk import books from CSV or a Goodreads library export. Optionally
+//          turns the user's Goodreads shelves and ratings into shelf entries and reviews.
+// @access  Private
+router.post('/import', [
+  auth,
+  requireVerified('books'),
+  body('data').isString().notEmpty().withMessage('CSV data is required'),
+  body('format').optional().isIn(IMPORT_FORMATS),
+  body('dryRun').optional().isBoolean().toBoolean(),
+  body('importShelves').optional().isBoolean().toBoolean(),
+  body('importRatings').optional().isBoolean().toBoolean(),
+  body('mapping')
+    .optional()
+    .isObject()
+    .custom(mapping => Object.keys(mapping).every(field => IMPORT_FIELDS.includes(field)))
+    .withMessage(`Mapping keys must be among: ${IMPORT_FIELDS.join(', ')}`),
+  body('mapping.*').optional().isString(),
+  body('defaults').optional().isObject(),
+  // Importing ratings creates reviews, so it needs whatever reviewing needs
+  (req, res, next) => (req.body.importRatings === true ? requireVerified('reviews')(req, res, next) : next())
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const rowsCount = countRows(req.body.data);
+    if (rowsCount === 0) {
+      return res.status(400).json({ message: 'The file has no rows to import' });
+    }
+    if (rowsCount > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ message: `Imports are limited to ${MAX_IMPORT_ROWS} rows per file` });
+    }
+
+    const report = await importBooks(req.body.data, {
+      userId: req.user._id,
+      format: req.body.format,
+      mapping: req.body.mapping,
+      defaults: req.body.defaults,
+      dryRun: req.body.dryRun === true,
+      importShelves: req.body.importShelves === true,
+      importRatings: req.body.importRatings === true
+    });
+
+    res.status(report.dryRun ? 200 : 201).json({
+      message: report.dryRun ? 'Import checked; nothing was saved' : 'Import finished',
+      ...report
+    });
+
+  } catch (error) {
+    console.error('Import books error:', error);
+    res.status(500).json({ message: 'Server error while importing books' });
+  }
+});
+
 // @route   PUT /api/books/:id
 // @desc    Update book
 // @access  Private (book owner or admin)
@@ -315,9 +611,15 @@ router.put('/:id', [
   auth,
   body('title').optional().isLength({ max: 200 }),
   body('author').optional().isLength({ max: 100 }),
+  ...creditValidators,
   body('description').optional().isLength({ max: 2000 }),
   body('pageCount').optional().isInt({ min: 1 }),
-  body('isbn').optional().matches(/^(\d{10}|\d{13})$/)
+  body('coverImage')
+    .optional()
+    .not()
+    .custom(isInlineImage)
+    .withMessage('Upload cover images to POST /api/books/:id/cover instead of sending them inline'),
+  body('isbn').optional().custom(isValidIsbn).withMessage('Invalid ISBN').customSanitizer(toIsbn13)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -342,14 +644,17 @@ router.put('/:id', [
     if (req.body.isbn && req.body.isbn !== book.isbn) {
       const existingBook = await Book.findOne({ isbn: req.body.isbn });
       if (existingBook) {
-        return res.status(400).json({ message: 'Book with this ISBN already exists' });
+        return res.status(400).json({
+          message: 'Book with this ISBN already exists',
+          book: { _id: existingBook._id, title: existingBook.title }
+        });
       }
     }
 
     const allowedUpdates = [
       'title', 'author', 'description', 'genre', 'subGenres', 
       'publishedDate', 'publisher', 'pageCount', 'language', 
-      'coverImage', 'price', 'availability', 'tags', 'series', 'awards', 'isbn'
+      'coverImage', 'price', 'availability', 'tags', 'awards', 'isbn'
     ];
 
     const updates = {};
@@ -359,12 +664,57 @@ router.put('/:id', [
       }
     });
 
+    // New credits replace the old ones. A new byline alone re-links the
+    // author credits and keeps translators, illustrators and so on.
+    if (req.body.authors || updates.author) {
+      let credits;
+      if (req.body.authors) {
+        credits = await Author.resolveCredits(req.body.authors, req.user._id);
+        if (!credits) {
+          return res.status(404).json({ message: 'Author not found' });
+        }
+        updates.author = updates.author || Author.bylineFor(credits);
+        updates.authors = credits.map(({ author, role }) => ({ author: author._id, role }));
+      } else {
+        credits = await Author.creditsFromByline(updates.author, req.user._id);
+        updates.authors = [
+          ...credits.map(({ author, role }) => ({ author: author._id, role })),
+          ...book.authors.filter(credit => credit.role !== 'author' && credit.role !== 'co-author')
+        ];
+      }
+    }
+
+    // An owner fixing a rejected book sends it back to the review queue
+    if (book.rejected && req.user.role !== 'admin') {
+      updates.rejected = false;
+    }
+
+    // A cover URL replaces any uploaded cover and its thumbnails. Replaced
+    // uploads are kept, since reverting to an earlier revision brings them back.
+    if (updates.coverImage !== undefined && updates.coverImage !== book.coverImage) {
+      updates.coverThumbnails = {};
+    }
+
     const updatedBook = await Book.findByIdAndUpdate(
       req.params.id,
       updates,
       { new: true, runValidators: true }
     ).populate('addedBy', 'username firstName lastName');
 
+    await BookRevision.record(updatedBook, {
+      action: 'update',
+      editor: req.user._id,
+      before: BookRevision.snapshotOf(book)
+    });
+
+    // The work takes its title and author from the primary edition
+    if (updatedBook.work && updatedBook.primaryEdition && (updates.title || updates.author)) {
+      await Work.updateOne(
+        { _id: updatedBook.work },
+        { title: updatedBook.title, author: updatedBook.author }
+      );
+    }
+
     res.json({
       message: 'Book updated successfully',
       book: updatedBook
@@ -391,10 +741,35 @@ router.delete('/:id', auth, async (req, res) => {
       return res.status(403).json({ message: 'Not authorized to delete this book' });
     }
 
-    // Delete all reviews for this book
+    // Delete all reviews for this book, and the comments on them
+    const reviewIds = await Review.find({ book: req.params.id }).distinct('_id');
+    await Comment.deleteMany({ review: { $in: reviewIds } });
     await Review.deleteMany({ book: req.params.id });
+    await Report.closeForDeletedReviews(reviewIds);
 
     await Book.findByIdAndDelete(req.params.id);
+    await removeUploads([
+      book.coverImage, book.coverThumbnails?.medium, book.coverThumbnails?.thumbnail,
+      ...await BookRevision.coverUrls(book._id)
+    ]);
+    await BookRevision.record(book, {
+      action: 'delete',
+      editor: req.user._id,
+      before: BookRevision.snapshotOf(book)
+    });
+    await Series.updateMany({ 'entries.book': book._id }, { $pull: { entries: { book: book._id } } });
+    await EditSuggestion.deleteMany({ book: book._id });
+    await DuplicateCandidate.deleteMany({ books: book._id });
+
+    // Take it off every shelf, and out of reading activity and challenge progress
+    await ShelfEntry.deleteMany({ book: book._id });
+    await ReadingUpdate.deleteMany({ book: book._id });
+
+    // Promote another edition, or remove the work if this was its last edition
+    const work = book.work && await Work.findById(book.work);
+    if (work) {
+      await work.refreshEditions();
+    }
 
     res.json({ message: 'Book and associated reviews deleted successfully' });
 
@@ -404,6 +779,171 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
+// @route   POST /api/books/:id/cover
+// @desc    Upload a cover image (multipart field "cover"); thumbnails are generated
+// @access  Private (book owner or admin)
+router.post('/:id/cover', [auth, imageUpload('cover')], async (req, res) => {
+  try {
+    const book = await Book.findById(req.params.id);
+    if (!book) {
+      return res.status(404).json({ message: 'Book not found' });
+    }
+
+    // Check if user owns the book or is admin
+    if (book.addedBy.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Not authorized to update this book' });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ message: 'An image file is required in the "cover" field' });
+    }
+
+    const urls = await storeImage(req.file.buffer, 'cover', `covers/${book._id}`);
+    if (!urls) {
+      return res.status(415).json({ message: 'The file is not a supported image' });
+    }
+
+    // The previous cover's files are kept for the revision history
+    const before = BookRevision.snapshotOf(book);
+    book.coverImage = urls.large;
+    book.coverThumbnails = { medium: urls.medium, thumbnail: urls.thumbnail };
+    await book.save();
+    await BookRevision.record(book, { action: 'update', editor: req.user._id, before });
+
+    res.json({
+      message: 'Cover uploaded successfully',
+      coverImage: book.coverImage,
+      coverThumbnails: book.coverThumbnails
+    });
+
+  } catch (error) {
+    console.error('Upload cover error:', error);
+    res.status(500).json({ message: 'Server error while uploading cover' });
+  }
+});
+
+// @route   GET /api/books/:id/history
+// @desc    Revision history of a book, newest first, with who changed which fields.
+//          Still available after the book is deleted.
+// @access  Public
+router.get('/:id/history', [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  ...cursorValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Invalid query parameters',
+        errors: errors.array()
+      });
+    }
+
+    const filter = { book: req.params.id };
+
+    const listed = await paginate(req, res, {
+      model: BookRevision,
+      filter,
+      sort: { createdAt: -1 },
+      defaultLimit: 20,
+      build: q => q.populate('editor', 'username firstName lastName avatar').select('-snapshot -__v')
+    });
+    if (!listed) return;
+
+    const noHistory = listed.items.length === 0 && !(await BookRevision.exists(filter));
+    if (noHistory && !(await Book.exists({ _id: req.params.id }))) {
+      return res.status(404).json({ message: 'Book not found' });
+    }
+
+    res.json({
+      revisions: listed.items,
+      pagination: listed.pagination
+    });
+
+  } catch (error) {
+    console.error('Get book history error:', error);
+    res.status(500).json({ message: 'Server error while fetching book history' });
+  }
+});
+
+// @route   POST /api/books/:id/revert
+// @desc    Restore a book's details to how they were at an earlier revision
+// @access  Admin only
+router.post('/:id/revert', [
+  adminAuth,
+  body('revision').isMongoId().withMessage('Valid revision ID is required'),
+  body('note').optional().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const book = await Book.findById(req.params.id);
+    if (!book) {
+      return res.status(404).json({ message: 'Book not found' });
+    }
+
+    const revision = await BookRevision.findOne({ _id: req.body.revision, book: book._id });
+    if (!revision) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    const { snapshot } = revision;
+
+    // Another book may have taken the ISBN since
+    if (snapshot.isbn && snapshot.isbn !== book.isbn) {
+      const existingBook = await Book.findOne({ isbn: snapshot.isbn });
+      if (existingBook) {
+        return res.status(400).json({
+          message: 'Book with this ISBN already exists',
+          book: { _id: existingBook._id, title: existingBook.title }
+        });
+      }
+    }
+
+    const before = BookRevision.snapshotOf(book);
+    BookRevision.TRACKED_FIELDS.forEach(field => book.set(field, snapshot[field] ?? undefined));
+
+    // Drop credits for authors deleted since
+    const authorIds = await Author.find({ _id: { $in: book.authors.map(credit => credit.author) } }).distinct('_id');
+    book.authors = book.authors.filter(credit => authorIds.some(id => id.equals(credit.author)));
+
+    if (BookRevision.diff(before, BookRevision.snapshotOf(book)).length === 0) {
+      return res.status(400).json({ message: 'The book already matches this revision' });
+    }
+
+    await book.save();
+
+    // The work takes its title and author from the primary edition
+    if (book.work && book.primaryEdition && (before.title !== book.title || before.author !== book.author)) {
+      await Work.updateOne({ _id: book.work }, { title: book.title, author: book.author });
+    }
+
+    await BookRevision.record(book, {
+      action: 'revert',
+      editor: req.user._id,
+      before,
+      revertedTo: revision._id,
+      note: req.body.note
+    });
+
+    res.json({
+      message: 'Book reverted successfully',
+      book
+    });
+
+  } catch (error) {
+    console.error('Revert book error:', error);
+    res.status(500).json({ message: 'Server error while reverting book' });
+  }
+});
+
 // @route   POST /api/books/:id/toggle-featured
 // @desc    Toggle featured status of book
 // @access  Admin only
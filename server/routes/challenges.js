@@ -0,0 +1,171 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const ReadingChallenge = require('../models/ReadingChallenge');
+const User = require('../models/User');
+const { auth, optionalAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   GET /api/challenges
+// @desc    Get a user's reading challenges for every year (defaults to the current user)
+// @access  Public
+router.get('/', [
+  optionalAuth,
+  query('user').optional().isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Invalid query parameters',
+        errors: errors.array()
+      });
+    }
+
+    const userId = req.query.user || req.user?._id;
+    if (!userId) {
+      return res.status(400).json({ message: 'A user is required' });
+    }
+
+    const user = await User.findById(userId).select('_id');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const challenges = await ReadingChallenge.find({ user: user._id }).sort({ year: -1 });
+    const progress = await Promise.all(challenges.map(challenge => challenge.getProgress()));
+
+    res.json({
+      challenges: challenges.map((challenge, index) => ({
+        ...challenge.toJSON(),
+        progress: progress[index]
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get challenges error:', error);
+    res.status(500).json({ message: 'Server error while fetching reading challenges' });
+  }
+});
+
+// @route   GET /api/challenges/:year
+// @desc    Get a user's reading challenge for one year
+// @access  Public
+router.get('/:year', [
+  optionalAuth,
+  param('year').isInt({ min: 1900, max: 3000 }),
+  query('user').optional().isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Invalid parameters',
+        errors: errors.array()
+      });
+    }
+
+    const userId = req.query.user || req.user?._id;
+    if (!userId) {
+      return res.status(400).json({ message: 'A user is required' });
+    }
+
+    const challenge = await ReadingChallenge.findOne({ user: userId, year: parseInt(req.params.year) });
+    if (!challenge) {
+      return res.status(404).json({ message: 'No reading challenge for this year' });
+    }
+
+    res.json({
+      challenge,
+      progress: await challenge.getProgress()
+    });
+
+  } catch (error) {
+    console.error('Get challenge error:', error);
+    res.status(500).json({ message: 'Server error while fetching reading challenge' });
+  }
+});
+
+// @route   PUT /api/challenges/:year
+// @desc    Create or update the current user's reading challenge for a year
+// @access  Private
+router.put('/:year', [
+  auth,
+  param('year').isInt({ min: 1900, max: 3000 }),
+  body('targetBooks').optional({ nullable: true }).isInt({ min: 0, max: 365 }).withMessage('Book target must be between 0 and 365'),
+  body('targetPages').optional({ nullable: true }).isInt({ min: 0, max: 1000000 }).withMessage('Page target must be between 0 and 1000000')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.body.targetBooks && !req.body.targetPages) {
+      return res.status(400).json({ message: 'A book or page target is required' });
+    }
+
+    // A missing or zero target clears that part of the challenge
+    const updates = { $set: {}, $unset: {} };
+    ['targetBooks', 'targetPages'].forEach(field => {
+      if (req.body[field]) {
+        updates.$set[field] = req.body[field];
+      } else {
+        updates.$unset[field] = 1;
+      }
+    });
+
+    const challenge = await ReadingChallenge.findOneAndUpdate(
+      { user: req.user._id, year: parseInt(req.params.year) },
+      updates,
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    res.json({
+      message: 'Reading challenge saved successfully',
+      challenge,
+      progress: await challenge.getProgress()
+    });
+
+  } catch (error) {
+    console.error('Save challenge error:', error);
+    res.status(500).json({ message: 'Server error while saving reading challenge' });
+  }
+});
+
+// @route   DELETE /api/challenges/:year
+// @desc    Delete the current user's reading challenge for a year
+// @access  Private
+router.delete('/:year', [
+  auth,
+  param('year').isInt({ min: 1900, max: 3000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Invalid parameters',
+        errors: errors.array()
+      });
+    }
+
+    const challenge = await ReadingChallenge.findOneAndDelete({
+      user: req.user._id,
+      year: parseInt(req.params.year)
+    });
+    if (!challenge) {
+      return res.status(404).json({ message: 'No reading challenge for this year' });
+    }
+
+    res.json({ message: 'Reading challenge deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete challenge error:', error);
+    res.status(500).json({ message: 'Server error while deleting reading challenge' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,309 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Review = require('../models/Review');
+const Book = require('../models/Book');
+const User = require('../models/User');
+const Report = require('../models/Report');
+const ModerationAction = require('../models/ModerationAction');
+const { adminAuth } = require('../middleware/auth');
+const { sendMail } = require('../utils/mailer');
+
+const router = express.Router();
+
+// @route   GET /api/moderation/queue
+// @desc    Get reported reviews grouped by review, most reported first
+// @access  Admin only
+router.get('/queue', [
+  adminAuth,
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 50 }),
+  query('reason').optional().isIn(Report.REPORT_REASONS)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Invalid query parameters',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const match = { status: 'open' };
+    if (req.query.reason) match.reason = req.query.reason;
+
+    const [result] = await Report.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$review',
+          reportCount: { $sum: 1 },
+          reasons: { $push: '$reason' },
+          firstReportedAt: { $min: '$createdAt' },
+          lastReportedAt: { $max: '$createdAt' }
+        }
+      },
+      { $sort: { reportCount: -1, lastReportedAt: -1 } },
+      {
+        $facet: {
+          items: [{ $skip: skip }, { $limit: limit }],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const total = result.total[0]?.count || 0;
+
+    const reviews = await Review.find({ _id: { $in: result.items.map(item => item._id) } })
+      .populate('user', 'username firstName lastName avatar')
+      .populate('book', 'title author coverImage')
+      .select('-__v');
+    const reviewById = Object.fromEntries(reviews.map(review => [review._id.toString(), review]));
+
+    // Reports left open on reviews deleted before their cleanup existed
+    const missingIds = result.items.map(item => item._id).filter(id => !reviewById[id.toString()]);
+    if (missingIds.length > 0) {
+      await Report.closeForDeletedReviews(missingIds);
+    }
+
+    const queue = result.items.map(item => {
+      const reasonCounts = {};
+      item.reasons.forEach(reason => {
+        reasonCounts[reason] = (reasonCounts[reason] || 0) + 1;
+      });
+
+      return {
+        review: reviewById[item._id.toString()] || null,
+        reviewId: item._id,
+        reportCount: item.reportCount,
+        reasonCounts,
+        firstReportedAt: item.firstReportedAt,
+        lastReportedAt: item.lastReportedAt
+      };
+    });
+
+    res.json({
+      queue,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Get moderation queue error:', error);
+    res.status(500).json({ message: 'Server error while fetching moderation queue' });
+  }
+});
+
+// @route   GET /api/moderation/reviews/:id/reports
+// @desc    Get every report filed against a review
+// @access  Admin only
+router.get('/reviews/:id/reports', adminAuth, async (req, res) => {
+  try {
+    const reports = await Report.find({ review: req.params.id })
+      .sort({ createdAt: -1 })
+      .populate('reporter', 'username firstName lastName')
+      .populate('resolvedBy', 'username')
+      .select('-__v');
+
+    const actions = await ModerationAction.find({ review: req.params.id })
+      .sort({ createdAt: -1 })
+      .populate('moderator', 'username')
+      .select('-__v');
+
+    res.json({ reports, actions });
+
+  } catch (error) {
+    console.error('Get review reports error:', error);
+    res.status(500).json({ message: 'Server error while fetching reports' });
+  }
+});
+
+// @route   POST /api/moderation/reviews/:id/actions
+// @desc    Dismiss reports, hide/unhide or delete a review, or warn its author
+// @access  Admin only
+router.post('/reviews/:id/actions', [
+  adminAuth,
+  body('action').isIn(['dismiss', 'hide', 'unhide', 'delete', 'warn']).withMessage('Invalid moderation action'),
+  body('note').optional().trim().isLength({ max: 1000 }),
+  body('reason')
+    .if(body('action').equals('warn'))
+    .trim()
+    .notEmpty()
+    .withMessage('A reason is required when warning a user')
+    .isLength({ max: 1000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const review = await Review.findById(req.params.id);
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    const { action, note, reason } = req.body;
+    const openReports = await Report.find({ review: review._id, status: 'open' }).select('_id');
+    const reportIds = openReports.map(report => report._id);
+
+    // Checked before anything changes, so an action is never left without its audit entry
+    const auditEntry = new ModerationAction({
+      moderator: req.user._id,
+      action,
+      review: review._id,
+      targetUser: review.user,
+      reviewSnapshot: {
+        book: review.book,
+        title: review.title,
+        content: review.content,
+        rating: review.rating
+      },
+      reports: action === 'unhide' ? [] : reportIds,
+      reason: action === 'warn' ? reason : undefined,
+      note
+    });
+    await auditEntry.validate();
+
+    switch (action) {
+      case 'dismiss':
+        await Review.updateOne({ _id: review._id }, { flagged: false });
+        break;
+
+      case 'hide':
+      case 'unhide': {
+        review.hidden = action === 'hide';
+        review.flagged = false;
+        await Review.updateOne({ _id: review._id }, { hidden: review.hidden, flagged: false });
+        const book = await Book.findById(review.book);
+        if (book) {
+          await book.updateAverageRating();
+        }
+        break;
+      }
+
+      case 'delete':
+        // The delete hook also recalculates the book's rating and removes comments
+        await Review.findByIdAndDelete(review._id);
+        break;
+
+      case 'warn': {
+        await Review.updateOne({ _id: review._id }, { flagged: false });
+        const author = await User.findByIdAndUpdate(review.user, {
+          $push: {
+            warnings: { reason, review: review._id, issuedBy: req.user._id }
+          }
+        });
+        if (author) {
+          try {
+            await sendMail({
+              to: author.email,
+              subject: 'A moderator has reviewed your content',
+              text: `Hi ${author.firstName},\n\n` +
+                `A moderator reviewed your review "${review.title}" and issued a warning:\n\n` +
+                `${reason}\n\n` +
+                `Please make sure your reviews follow the community guidelines.`
+            });
+          } catch (mailError) {
+            console.error('Warning email error:', mailError);
+          }
+        }
+        break;
+      }
+    }
+
+    if (reportIds.length > 0 && action !== 'unhide') {
+      await Report.updateMany(
+        { _id: { $in: reportIds } },
+        {
+          status: action === 'dismiss' ? 'dismissed' : 'actioned',
+          resolvedBy: req.user._id,
+          resolvedAt: new Date()
+        }
+      );
+    }
+
+    await auditEntry.save();
+
+    res.json({
+      message: `Moderation action "${action}" applied`,
+      action: auditEntry,
+      reportsResolved: action === 'unhide' ? 0 : reportIds.length
+    });
+
+  } catch (error) {
+    console.error('Moderation action error:', error);
+    res.status(500).json({ message: 'Server error while applying moderation action' });
+  }
+});
+
+// @route   GET /api/moderation/audit
+// @desc    Get the moderation audit trail
+// @access  Admin only
+router.get('/audit', [
+  adminAuth,
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 50 }),
+  query('review').optional().isMongoId(),
+  query('user').optional().isMongoId(),
+  query('moderator').optional().isMongoId(),
+  query('action').optional().isIn(ModerationAction.schema.path('action').enumValues)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Invalid query parameters',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.review) filter.review = req.query.review;
+    if (req.query.user) filter.targetUser = req.query.user;
+    if (req.query.moderator) filter.moderator = req.query.moderator;
+    if (req.query.action) filter.action = req.query.action;
+
+    const [actions, total] = await Promise.all([
+      ModerationAction.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('moderator', 'username')
+        .populate('targetUser', 'username')
+        .populate('reviewSnapshot.book', 'title author')
+        .select('-__v'),
+      ModerationAction.countDocuments(filter)
+    ]);
+
+    res.json({
+      actions,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Get moderation audit error:', error);
+    res.status(500).json({ message: 'Server error while fetching moderation audit trail' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,260 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Book = require('../models/Book');
+const Review = require('../models/Review');
+const Shelf = require('../models/Shelf');
+const ShelfEntry = require('../models/ShelfEntry');
+const ReadingUpdate = require('../models/ReadingUpdate');
+const { auth } = require('../middleware/auth');
+const { summarizeProgress } = require('../utils/readingStats');
+
+const router = express.Router();
+
+// Copy shelf dates onto the user's review so Review.readingDuration stays accurate
+const syncReviewDates = async (userId, bookId, entry, finished) => {
+  const review = await Review.findOne({ user: userId, book: bookId });
+  if (!review) return;
+
+  if (entry.dateStarted && !review.readingStartDate) {
+    review.readingStartDate = entry.dateStarted;
+  }
+  if (finished) {
+    review.readingEndDate = entry.dateFinished;
+    review.readingProgress = 'completed';
+  }
+
+  if (review.isModified()) {
+    await review.save();
+  }
+};
+
+// Move a book to "Currently Reading" and record the start
+const startReading = async (userId, book, note) => {
+  const shelves = await Shelf.ensureDefaults(userId);
+  const entry = await shelves['currently-reading'].addBook(book._id, {
+    dateStarted: new Date(),
+    dateFinished: null
+  });
+
+  await ReadingUpdate.create({
+    user: userId,
+    book: book._id,
+    type: 'started',
+    page: 0,
+    totalPages: book.pageCount,
+    note
+  });
+  await syncReviewDates(userId, book._id, entry, false);
+
+  return entry;
+};
+
+// Move a book to "Read"; the shelf records the finish
+const finishReading = async (userId, book, note) => {
+  const shelves = await Shelf.ensureDefaults(userId);
+  const entry = await shelves.read.addBook(book._id, { dateFinished: new Date() }, { note });
+
+  await syncReviewDates(userId, book._id, entry, true);
+
+  return entry;
+};
+
+// The user's "Currently Reading" entry for a book, if any
+const currentEntry = async (userId, bookId) => {
+  const shelf = await Shelf.findOne({ user: userId, key: 'currently-reading' });
+  if (!shelf) return null;
+  return ShelfEntry.findOne({ shelf: shelf._id, book: bookId });
+};
+
+// @route   GET /api/reading/:bookId
+// @desc    Get the current user's progress history and derived stats for a book
+// @access  Private
+router.get('/:bookId', auth, async (req, res) => {
+  try {
+    const book = await Book.findById(req.params.bookId).select('title author coverImage pageCount');
+    if (!book) {
+      return res.status(404).json({ message: 'Book not found' });
+    }
+
+    const [updates, entry] = await Promise.all([
+      ReadingUpdate.find({ user: req.user._id, book: book._id }).sort({ createdAt: 1 }).select('-__v'),
+      ShelfEntry.findOne({ user: req.user._id, book: book._id, dateStarted: { $ne: null } })
+        .sort({ dateStarted: -1 })
+    ]);
+
+    // Only updates from the latest read-through count towards the summary
+    const since = entry?.dateStarted;
+    const currentRead = since ? updates.filter(update => update.createdAt >= since) : updates;
+
+    res.json({
+      book,
+      updates,
+      summary: summarizeProgress(currentRead, {
+        dateStarted: entry?.dateStarted,
+        dateFinished: entry?.dateFinished,
+        totalPages: book.pageCount
+      })
+    });
+
+  } catch (error) {
+    console.error('Get reading progress error:', error);
+    res.status(500).json({ message: 'Server error while fetching reading progress' });
+  }
+});
+
+// @route   POST /api/reading/:bookId/start
+// @desc    Start reading a book
+// @access  Private
+router.post('/:bookId/start', [
+  auth,
+  body('note').optional().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const book = await Book.findById(req.params.bookId);
+    if (!book) {
+      return res.status(404).json({ message: 'Book not found' });
+    }
+
+    const entry = await startReading(req.user._id, book, req.body.note);
+
+    res.status(201).json({
+      message: 'Started reading',
+      entry
+    });
+
+  } catch (error) {
+    console.error('Start reading error:', error);
+    res.status(500).json({ message: 'Server error while starting book' });
+  }
+});
+
+// @route   POST /api/reading/:bookId/progress
+// @desc    Log a progress update (page or percentage)
+// @access  Private
+router.post('/:bookId/progress', [
+  auth,
+  body('page').optional().isInt({ min: 0 }).withMessage('Page must be a non-negative number'),
+  body('percentage').optional().isFloat({ min: 0, max: 100 }).withMessage('Percentage must be between 0 and 100'),
+  body('totalPages').optional().isInt({ min: 1 }).withMessage('Total pages must be a positive number'),
+  body('note').optional().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (req.body.page === undefined && req.body.percentage === undefined) {
+      return res.status(400).json({ message: 'Either page or percentage is required' });
+    }
+
+    const book = await Book.findById(req.params.bookId);
+    if (!book) {
+      return res.status(404).json({ message: 'Book not found' });
+    }
+
+    // Editions differ in length, so the reader may give their own page count
+    const totalPages = parseInt(req.body.totalPages) || book.pageCount;
+    if (req.body.page !== undefined && parseInt(req.body.page) > totalPages) {
+      return res.status(400).json({ message: `Page cannot be greater than ${totalPages}` });
+    }
+
+    // Logging progress on a book that is not in progress starts it
+    let entry = await currentEntry(req.user._id, book._id);
+    if (!entry) {
+      entry = await startReading(req.user._id, book);
+    }
+
+    const update = await ReadingUpdate.create({
+      user: req.user._id,
+      book: book._id,
+      page: req.body.page,
+      percentage: req.body.percentage,
+      totalPages,
+      note: req.body.note
+    });
+
+    // Reaching the last page finishes the book
+    let finished = false;
+    if (update.percentage >= 100) {
+      entry = await finishReading(req.user._id, book);
+      finished = true;
+    }
+
+    res.status(201).json({
+      message: finished ? 'Progress logged and book finished' : 'Progress logged',
+      update,
+      entry,
+      finished
+    });
+
+  } catch (error) {
+    console.error('Log reading progress error:', error);
+    res.status(500).json({ message: 'Server error while logging progress' });
+  }
+});
+
+// @route   POST /api/reading/:bookId/finish
+// @desc    Finish reading a book
+// @access  Private
+router.post('/:bookId/finish', [
+  auth,
+  body('note').optional().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const book = await Book.findById(req.params.bookId);
+    if (!book) {
+      return res.status(404).json({ message: 'Book not found' });
+    }
+
+    const entry = await finishReading(req.user._id, book, req.body.note);
+
+    res.json({
+      message: 'Finished reading',
+      entry
+    });
+
+  } catch (error) {
+    console.error('Finish reading error:', error);
+    res.status(500).json({ message: 'Server error while finishing book' });
+  }
+});
+
+// @route   DELETE /api/reading/updates/:id
+// @desc    Delete a logged progress update
+// @access  Private (update owner)
+router.delete('/updates/:id', auth, async (req, res) => {
+  try {
+    const update = await ReadingUpdate.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+    if (!update) {
+      return res.status(404).json({ message: 'Reading update not found' });
+    }
+
+    res.json({ message: 'Reading update deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete reading update error:', error);
+    res.status(500).json({ message: 'Server error while deleting reading update' });
+  }
+});
+
+module.exports = router;
@@ -2,18 +2,23 @@ const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const Review = require('../models/Review');
 const Book = require('../models/Book');
-const User = require('../models/User');
-const { auth, optionalAuth } = require('../middleware/auth');
+const Shelf = require('../models/Shelf');
+const Comment = require('../models/Comment');
+const Report = require('../models/Report');
+const { auth, optionalAuth, requireVerified } = require('../middleware/auth');
+const { cursorValidators, paginate } = require('../utils/pagination');
 
 const router = express.Router();
 
 // @route   GET /api/reviews
-// @desc    Get all reviews with pagination and filtering
+// @desc    Get all reviews with pagination (page numbers or cursors) and filtering
 // @access  Public
 router.get('/', [
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 50 }),
+  ...cursorValidators,
   query('book').optional().isMongoId(),
+  query('work').optional().isMongoId(),
   query('user').optional().isMongoId(),
   query('rating').optional().isInt({ min: 1, max: 5 }),
   query('sortBy').optional().isIn(['createdAt', 'rating', 'helpful']),
@@ -28,14 +33,11 @@ router.get('/', [
       });
     }
 
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
-
-    // Build filter object
-    const filter = {};
+    // Build filter object (hidden reviews are never listed publicly)
+    const filter = { hidden: { $ne: true } };
     
     if (req.query.book) filter.book = req.query.book;
+    if (req.query.work) filter.work = req.query.work;
     if (req.query.user) filter.user = req.query.user;
     if (req.query.rating) filter.rating = req.query.rating;
 
@@ -44,25 +46,23 @@ router.get('/', [
     const order = req.query.order === 'asc' ? 1 : -1;
     const sort = { [sortBy]: order };
 
-    const reviews = await Review.find(filter)
-      .sort(sort)
-      .skip(skip)
-      .limit(limit)
-      .populate('user', 'username firstName lastName avatar')
-      .populate('book', 'title author coverImage')
-      .select('-__v');
-
-    const total = await Review.countDocuments(filter);
-    const totalPages = Math.ceil(total / limit);
+    const listed = await paginate(req, res, {
+      model: Review,
+      filter,
+      sort,
+      defaultLimit: 10,
+      build: q => q
+        .populate('user', 'username firstName lastName avatar')
+        .populate('book', 'title author coverImage')
+        .select('-__v'),
+      // helpful is an array of votes, which a cursor can't resume from
+      cursors: sortBy !== 'helpful'
+    });
+    if (!listed) return;
 
     res.json({
-      reviews,
-      pagination: {
-        current: page,
-        pages: totalPages,
-        total,
-        limit
-      }
+      reviews: listed.items,
+      pagination: listed.pagination
     });
 
   } catch (error) {
@@ -72,13 +72,15 @@ router.get('/', [
 });
 
 // @route   GET /api/reviews/book/:bookId
-// @desc    Get all reviews for a specific book
+// @desc    Get all reviews for a specific book, across all its editions unless ?scope=edition
 // @access  Public
 router.get('/book/:bookId', [
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 50 }),
+  ...cursorValidators,
   query('sortBy').optional().isIn(['createdAt', 'rating', 'helpful']),
-  query('order').optional().isIn(['asc', 'desc'])
+  query('order').optional().isIn(['asc', 'desc']),
+  query('scope').optional().isIn(['work', 'edition'])
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -89,40 +91,42 @@ router.get('/book/:bookId', [
       });
     }
 
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
-
     const sortBy = req.query.sortBy || 'createdAt';
     const order = req.query.order === 'asc' ? 1 : -1;
     const sort = { [sortBy]: order };
 
-    const reviews = await Review.find({ book: req.params.bookId })
-      .sort(sort)
-      .skip(skip)
-      .limit(limit)
-      .populate('user', 'username firstName lastName avatar')
-      .select('-__v');
+    const book = await Book.findCurrent(req.params.bookId);
+    if (!book) {
+      return res.status(404).json({ message: 'Book not found' });
+    }
 
-    const total = await Review.countDocuments({ book: req.params.bookId });
-    const totalPages = Math.ceil(total / limit);
+    const filter = book.work && req.query.scope !== 'edition'
+      ? { work: book.work, hidden: { $ne: true } }
+      : { book: book._id, hidden: { $ne: true } };
+
+    const listed = await paginate(req, res, {
+      model: Review,
+      filter,
+      sort,
+      defaultLimit: 10,
+      build: q => q
+        .populate('user', 'username firstName lastName avatar')
+        .populate('book', 'title isbn publisher language')
+        .select('-__v'),
+      cursors: sortBy !== 'helpful'
+    });
+    if (!listed) return;
 
     // Get rating distribution
-    const mongoose = require('mongoose');
     const ratingDistribution = await Review.aggregate([
-      { $match: { book: new mongoose.Types.ObjectId(req.params.bookId) } },
+      { $match: filter },
       { $group: { _id: '$rating', count: { $sum: 1 } } },
       { $sort: { _id: -1 } }
     ]);
 
     res.json({
-      reviews,
-      pagination: {
-        current: page,
-        pages: totalPages,
-        total,
-        limit
-      },
+      reviews: listed.items,
+      pagination: listed.pagination,
       ratingDistribution
     });
 
@@ -134,15 +138,17 @@ router.get('/book/:bookId', [
 
 // @route   GET /api/reviews/:id
 // @desc    Get single review by ID
-// @access  Public
-router.get('/:id', async (req, res) => {
+// @access  Public (hidden reviews: author or admin only)
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const review = await Review.findById(req.params.id)
       .populate('user', 'username firstName lastName avatar')
       .populate('book', 'title author coverImage')
       .select('-__v');
 
-    if (!review) {
+    const canSeeHidden = req.user &&
+      (req.user.role === 'admin' || review?.user?._id.toString() === req.user._id.toString());
+    if (!review || (review.hidden && !canSeeHidden)) {
       return res.status(404).json({ message: 'Review not found' });
     }
 
@@ -159,6 +165,7 @@ router.get('/:id', async (req, res) => {
 // @access  Private
 router.post('/', [
   auth,
+  requireVerified('reviews'),
   body('book').isMongoId().withMessage('Valid book ID is required'),
   body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
   body('title').notEmpty().withMessage('Review title is required').isLength({ max: 100 }),
@@ -180,17 +187,15 @@ router.post('/', [
       });
     }
 
-    const { book: bookId } = req.body;
-
-    // Check if book exists
-    const book = await Book.findById(bookId);
+    // Check if book exists (following merges, so old links keep working)
+    const book = await Book.findCurrent(req.body.book);
     if (!book) {
       return res.status(404).json({ message: 'Book not found' });
     }
 
-    // Check if user has already reviewed this book
+    // Check if user has already reviewed this book, in any edition
     const existingReview = await Review.findOne({
-      book: bookId,
+      $or: [{ book: book._id }, ...(book.work ? [{ work: book.work }] : [])],
       user: req.user._id
     });
 
@@ -200,6 +205,7 @@ router.post('/', [
 
     const review = new Review({
       ...req.body,
+      book: book._id,
       user: req.user._id
     });
 
@@ -207,12 +213,8 @@ router.post('/', [
     await review.populate('user', 'username firstName lastName avatar');
     await review.populate('book', 'title author coverImage');
 
-    // Add book to user's read books if not already there
-    const user = await User.findById(req.user._id);
-    if (!user.booksRead.includes(bookId)) {
-      user.booksRead.push(bookId);
-      await user.save();
-    }
+    // Shelve the book according to the review's reading progress
+    await Shelf.shelveReviewedBook(req.user._id, book._id, review.readingProgress);
 
     res.status(201).json({
       message: 'Review created successfully',
@@ -418,4 +420,243 @@ router.post('/:id/helpful', [
   }
 });
 
+// @route   POST /api/reviews/:id/report
+// @desc    Report a review to the moderators
+// @access  Private
+router.post('/:id/report', [
+  auth,
+  body('reason').isIn(Report.REPORT_REASONS).withMessage(`Reason must be one of: ${Report.REPORT_REASONS.join(', ')}`),
+  body('details').optional().trim().isLength({ max: 1000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const review = await Review.findById(req.params.id).select('user hidden');
+    if (!review || review.hidden) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    if (review.user.toString() === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You cannot report your own review' });
+    }
+
+    const existingReport = await Report.findOne({ review: review._id, reporter: req.user._id });
+    if (existingReport) {
+      return res.status(400).json({ message: 'You have already reported this review' });
+    }
+
+    const report = new Report({
+      review: review._id,
+      reporter: req.user._id,
+      reason: req.body.reason,
+      details: req.body.details
+    });
+    await report.save();
+
+    // updateOne skips the rating recalculation hooks
+    await Review.updateOne({ _id: review._id }, { flagged: true });
+
+    res.status(201).json({
+      message: 'Review reported. Thank you for helping keep the community safe.',
+      report
+    });
+
+  } catch (error) {
+    console.error('Report review error:', error);
+    res.status(500).json({ message: 'Server error while reporting review' });
+  }
+});
+
+// @route   GET /api/reviews/:id/comments
+// @desc    Get comment threads on a review (top-level comments paginated, replies nested)
+// @access  Public
+router.get('/:id/comments', [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 50 }),
+  ...cursorValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Invalid query parameters',
+        errors: errors.array()
+      });
+    }
+
+    const review = await Review.findById(req.params.id).select('commentsCount hidden');
+    if (!review || review.hidden) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    const listed = await paginate(req, res, {
+      model: Comment,
+      filter: { review: review._id, parent: null },
+      sort: { createdAt: 1 },
+      defaultLimit: 20,
+      build: q => q.populate('user', 'username firstName lastName avatar').select('-__v')
+    });
+    if (!listed) return;
+
+    const topLevel = listed.items;
+    const replies = await Comment.find({ root: { $in: topLevel.map(comment => comment._id) } })
+      .sort({ createdAt: 1 })
+      .populate('user', 'username firstName lastName avatar')
+      .select('-__v');
+
+    res.json({
+      comments: Comment.buildThreads(topLevel, replies),
+      commentsCount: review.commentsCount,
+      pagination: listed.pagination
+    });
+
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json({ message: 'Server error while fetching comments' });
+  }
+});
+
+// @route   POST /api/reviews/:id/comments
+// @desc    Comment on a review, or reply to a comment
+// @access  Private
+router.post('/:id/comments', [
+  auth,
+  body('content').trim().notEmpty().withMessage('Comment content is required').isLength({ max: 1000 }),
+  body('parent').optional().isMongoId().withMessage('Valid parent comment ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const review = await Review.findById(req.params.id).select('hidden');
+    if (!review || review.hidden) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    const comment = new Comment({
+      review: review._id,
+      user: req.user._id,
+      content: req.body.content
+    });
+
+    if (req.body.parent) {
+      const parent = await Comment.findOne({ _id: req.body.parent, review: review._id });
+      if (!parent) {
+        return res.status(404).json({ message: 'Parent comment not found' });
+      }
+      if (parent.depth >= Comment.MAX_DEPTH) {
+        return res.status(400).json({ message: 'This thread cannot be nested any deeper' });
+      }
+
+      comment.parent = parent._id;
+      comment.root = parent.root || parent._id;
+      comment.depth = parent.depth + 1;
+    }
+
+    await comment.save();
+    await comment.populate('user', 'username firstName lastName avatar');
+    const commentsCount = await Comment.recount(review._id);
+
+    res.status(201).json({
+      message: 'Comment added successfully',
+      comment,
+      commentsCount
+    });
+
+  } catch (error) {
+    console.error('Create comment error:', error);
+    res.status(500).json({ message: 'Server error while adding comment' });
+  }
+});
+
+// @route   PUT /api/reviews/:id/comments/:commentId
+// @desc    Edit a comment
+// @access  Private (comment author or admin)
+router.put('/:id/comments/:commentId', [
+  auth,
+  body('content').trim().notEmpty().withMessage('Comment content is required').isLength({ max: 1000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const comment = await Comment.findOne({ _id: req.params.commentId, review: req.params.id });
+    if (!comment || comment.deleted) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    // Check if user wrote the comment or is admin
+    if (comment.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Not authorized to update this comment' });
+    }
+
+    comment.content = req.body.content;
+    comment.editedAt = new Date();
+    await comment.save();
+    await comment.populate('user', 'username firstName lastName avatar');
+
+    res.json({
+      message: 'Comment updated successfully',
+      comment
+    });
+
+  } catch (error) {
+    console.error('Update comment error:', error);
+    res.status(500).json({ message: 'Server error while updating comment' });
+  }
+});
+
+// @route   DELETE /api/reviews/:id/comments/:commentId
+// @desc    Delete a comment (replies stay, under a "[deleted]" placeholder)
+// @access  Private (comment author or admin)
+router.delete('/:id/comments/:commentId', auth, async (req, res) => {
+  try {
+    const comment = await Comment.findOne({ _id: req.params.commentId, review: req.params.id });
+    if (!comment || comment.deleted) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    // Check if user wrote the comment or is admin
+    if (comment.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Not authorized to delete this comment' });
+    }
+
+    const hasReplies = await Comment.exists({ parent: comment._id });
+    if (hasReplies) {
+      comment.deleted = true;
+      comment.content = '';
+      await comment.save();
+    } else {
+      await Comment.deleteOne({ _id: comment._id });
+    }
+
+    const commentsCount = await Comment.recount(comment.review);
+
+    res.json({
+      message: 'Comment deleted successfully',
+      commentsCount
+    });
+
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({ message: 'Server error while deleting comment' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,106 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const Book = require('../models/Book');
+const Author = require('../models/Author');
+const Series = require('../models/Series');
+const User = require('../models/User');
+const { searchWords, prefixFilter, prefixRank } = require('../utils/prefixSearch');
+
+const router = express.Router();
+
+// Put whole-name matches ("dune" for "Dune Messiah") ahead of word matches
+// ("dune" for "Children of Dune"), keeping the database order otherwise
+const rankByName = (items, name, text, limit) => {
+  return items
+    .map((item, index) => ({ item, index, rank: prefixRank(name(item), text) }))
+    .sort((a, b) => a.rank - b.rank || a.index - b.index)
+    .slice(0, limit)
+    .map(({ item }) => item);
+};
+
+// @route   GET /api/search/suggest
+// @desc    Typeahead suggestions: books, authors, series and users with a word
+//          starting with each word of `q`, grouped by type
+// @access  Public
+router.get('/suggest', [
+  query('q').trim().isLength({ min: 2, max: 100 }).withMessage('Query must be 2 to 100 characters'),
+  query('limit').optional().isInt({ min: 1, max: 10 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Invalid query parameters',
+        errors: errors.array()
+      });
+    }
+
+    const text = req.query.q;
+    const limit = parseInt(req.query.limit) || 5;
+
+    if (searchWords(text).length === 0) {
+      return res.json({ query: text, books: [], authors: [], series: [], users: [] });
+    }
+
+    // Fetch a few extra candidates per group so ranking has something to choose from
+    const filter = prefixFilter(text);
+    const candidates = limit * 3;
+
+    const [books, authors, series, users] = await Promise.all([
+      Book.find({ ...filter, primaryEdition: { $ne: false }, rejected: { $ne: true } })
+        .sort({ ratingsCount: -1 })
+        .limit(candidates)
+        .select('title author publishedDate coverImage coverThumbnails.thumbnail')
+        .lean(),
+      Author.find(filter)
+        .sort({ followersCount: -1 })
+        .limit(candidates)
+        .select('name photo')
+        .lean(),
+      Series.find(filter)
+        .sort({ name: 1 })
+        .limit(candidates)
+        .select('name entries.book')
+        .lean(),
+      User.find({ ...filter, deletedAt: null })
+        .sort({ username: 1 })
+        .limit(candidates)
+        .select('username firstName lastName avatar avatarThumbnail')
+        .lean()
+    ]);
+
+    res.json({
+      query: text,
+      books: rankByName(books, book => book.title, text, limit).map(book => ({
+        _id: book._id,
+        title: book.title,
+        author: book.author,
+        year: book.publishedDate?.getUTCFullYear(),
+        coverImage: book.coverThumbnails?.thumbnail || book.coverImage
+      })),
+      authors: rankByName(authors, author => author.name, text, limit).map(author => ({
+        _id: author._id,
+        name: author.name,
+        photo: author.photo
+      })),
+      series: rankByName(series, item => item.name, text, limit).map(item => ({
+        _id: item._id,
+        name: item.name,
+        booksCount: item.entries.length
+      })),
+      users: rankByName(users, user => user.username, text, limit).map(user => ({
+        _id: user._id,
+        username: user.username,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        avatar: user.avatarThumbnail || user.avatar
+      }))
+    });
+
+  } catch (error) {
+    console.error('Search suggest error:', error);
+    res.status(500).json({ message: 'Server error while fetching suggestions' });
+  }
+});
+
+module.exports = router;
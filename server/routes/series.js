@@ -0,0 +1,387 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const Series = require('../models/Series');
+const Book = require('../models/Book');
+const Review = require('../models/Review');
+const { auth, optionalAuth, requireVerified } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Only the user who created a series, or an admin, may change it
+const canManageSeries = (user, series) => {
+  return series.addedBy?.toString() === user._id.toString() || user.role === 'admin';
+};
+
+const positionConflict = (res, conflict) => {
+  return res.status(409).json({
+    message: `Position ${conflict.position} is already taken in this series`,
+    conflict: { book: conflict.book, position: conflict.position }
+  });
+};
+
+const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// @route   GET /api/series
+// @desc    List series, optionally searching by name
+// @access  Public
+router.get('/', [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 50 }),
+  query('search').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Invalid query parameters',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.search) {
+      filter.name = { $regex: escapeRegex(req.query.search), $options: 'i' };
+    }
+
+    const [series, total] = await Promise.all([
+      Series.aggregate([
+        { $match: filter },
+        { $sort: { name: 1 } },
+        { $skip: skip },
+        { $limit: limit },
+        { $project: { name: 1, description: 1, booksCount: { $size: '$entries' } } }
+      ]),
+      Series.countDocuments(filter)
+    ]);
+
+    res.json({
+      series,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Get series list error:', error);
+    res.status(500).json({ message: 'Server error while fetching series' });
+  }
+});
+
+// @route   GET /api/series/:id
+// @desc    Get a series in reading order with ratings, position conflicts and
+//          (when logged in) the next book the user has not read
+// @access  Public
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    const series = await Series.findById(req.params.id)
+      .populate({
+        path: 'entries.book',
+        select: 'title author coverImage publishedDate pageCount work averageRating ratingsCount',
+        match: { rejected: { $ne: true } }
+      })
+      .populate('addedBy', 'username')
+      .select('-__v');
+
+    if (!series) {
+      return res.status(404).json({ message: 'Series not found' });
+    }
+
+    // Rejected books come back unpopulated and are left out
+    const entries = series.orderedEntries().filter(entry => entry.book);
+
+    // Rating across every review of every edition of the books in the series
+    const workIds = entries.map(entry => entry.book.work).filter(Boolean);
+    const [stats] = await Review.aggregate([
+      { $match: { work: { $in: workIds }, hidden: { $ne: true } } },
+      {
+        $group: {
+          _id: null,
+          averageRating: { $avg: '$rating' },
+          ratingsCount: { $sum: 1 }
+        }
+      }
+    ]);
+
+    let nextUnread;
+    if (req.user) {
+      nextUnread = await series.nextUnreadFor(req.user._id);
+    }
+
+    res.json({
+      series: {
+        _id: series._id,
+        name: series.name,
+        description: series.description,
+        addedBy: series.addedBy,
+        createdAt: series.createdAt,
+        updatedAt: series.updatedAt
+      },
+      entries,
+      stats: {
+        booksCount: entries.length,
+        averageRating: stats ? Math.round(stats.averageRating * 10) / 10 : 0,
+        ratingsCount: stats?.ratingsCount || 0
+      },
+      conflicts: series.conflicts(),
+      nextUnread
+    });
+
+  } catch (error) {
+    console.error('Get series error:', error);
+    res.status(500).json({ message: 'Server error while fetching series' });
+  }
+});
+
+// @route   POST /api/series
+// @desc    Create a series
+// @access  Private
+router.post('/', [
+  auth,
+  requireVerified('books'),
+  body('name').trim().notEmpty().withMessage('Name is required').isLength({ max: 200 }),
+  body('description').optional().isLength({ max: 2000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const series = await Series.create({
+      name: req.body.name,
+      description: req.body.description,
+      addedBy: req.user._id
+    });
+
+    res.status(201).json({
+      message: 'Series created successfully',
+      series
+    });
+
+  } catch (error) {
+    console.error('Create series error:', error);
+    res.status(500).json({ message: 'Server error while creating series' });
+  }
+});
+
+// @route   PUT /api/series/:id
+// @desc    Rename a series or change its description
+// @access  Private (series creator or admin)
+router.put('/:id', [
+  auth,
+  body('name').optional().trim().notEmpty().isLength({ max: 200 }),
+  body('description').optional().isLength({ max: 2000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const series = await Series.findById(req.params.id);
+    if (!series) {
+      return res.status(404).json({ message: 'Series not found' });
+    }
+
+    if (!canManageSeries(req.user, series)) {
+      return res.status(403).json({ message: 'Not authorized to update this series' });
+    }
+
+    if (req.body.name !== undefined) series.name = req.body.name;
+    if (req.body.description !== undefined) series.description = req.body.description;
+    await series.save();
+
+    res.json({
+      message: 'Series updated successfully',
+      series
+    });
+
+  } catch (error) {
+    console.error('Update series error:', error);
+    res.status(500).json({ message: 'Server error while updating series' });
+  }
+});
+
+// @route   DELETE /api/series/:id
+// @desc    Delete a series (its books are kept)
+// @access  Private (series creator or admin)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const series = await Series.findById(req.params.id);
+    if (!series) {
+      return res.status(404).json({ message: 'Series not found' });
+    }
+
+    if (!canManageSeries(req.user, series)) {
+      return res.status(403).json({ message: 'Not authorized to delete this series' });
+    }
+
+    await series.deleteOne();
+
+    res.json({ message: 'Series deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete series error:', error);
+    res.status(500).json({ message: 'Server error while deleting series' });
+  }
+});
+
+// @route   POST /api/series/:id/books
+// @desc    Add a book to a series at a position
+// @access  Private (series creator or admin)
+router.post('/:id/books', [
+  auth,
+  body('book').isMongoId().withMessage('Valid book ID is required'),
+  body('position').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Position must be a non-negative number').toFloat(),
+  body('label').optional().trim().isLength({ max: 50 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const [series, book] = await Promise.all([
+      Series.findById(req.params.id),
+      Book.findById(req.body.book).select('_id')
+    ]);
+    if (!series) {
+      return res.status(404).json({ message: 'Series not found' });
+    }
+    if (!book) {
+      return res.status(404).json({ message: 'Book not found' });
+    }
+
+    if (!canManageSeries(req.user, series)) {
+      return res.status(403).json({ message: 'Not authorized to update this series' });
+    }
+
+    if (series.findEntry(book._id)) {
+      return res.status(400).json({ message: 'Book is already in this series' });
+    }
+
+    const conflict = series.findConflict(req.body.position);
+    if (conflict) {
+      return positionConflict(res, conflict);
+    }
+
+    series.entries.push({
+      book: book._id,
+      position: req.body.position,
+      label: req.body.label
+    });
+    await series.save();
+
+    res.status(201).json({
+      message: 'Book added to series successfully',
+      entries: series.orderedEntries()
+    });
+
+  } catch (error) {
+    console.error('Add series book error:', error);
+    res.status(500).json({ message: 'Server error while adding book to series' });
+  }
+});
+
+// @route   PUT /api/series/:id/books/:bookId
+// @desc    Move a book to another position, or change its label
+// @access  Private (series creator or admin)
+router.put('/:id/books/:bookId', [
+  auth,
+  body('position').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Position must be a non-negative number').toFloat(),
+  body('label').optional().trim().isLength({ max: 50 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const series = await Series.findById(req.params.id);
+    if (!series) {
+      return res.status(404).json({ message: 'Series not found' });
+    }
+
+    if (!canManageSeries(req.user, series)) {
+      return res.status(403).json({ message: 'Not authorized to update this series' });
+    }
+
+    const entry = series.findEntry(req.params.bookId);
+    if (!entry) {
+      return res.status(404).json({ message: 'Book is not in this series' });
+    }
+
+    if (req.body.position !== undefined) {
+      const conflict = series.findConflict(req.body.position, entry.book);
+      if (conflict) {
+        return positionConflict(res, conflict);
+      }
+      entry.position = req.body.position;
+    }
+    if (req.body.label !== undefined) entry.label = req.body.label;
+    await series.save();
+
+    res.json({
+      message: 'Series entry updated successfully',
+      entries: series.orderedEntries()
+    });
+
+  } catch (error) {
+    console.error('Update series book error:', error);
+    res.status(500).json({ message: 'Server error while updating series entry' });
+  }
+});
+
+// @route   DELETE /api/series/:id/books/:bookId
+// @desc    Remove a book from a series
+// @access  Private (series creator or admin)
+router.delete('/:id/books/:bookId', auth, async (req, res) => {
+  try {
+    const series = await Series.findById(req.params.id);
+    if (!series) {
+      return res.status(404).json({ message: 'Series not found' });
+    }
+
+    if (!canManageSeries(req.user, series)) {
+      return res.status(403).json({ message: 'Not authorized to update this series' });
+    }
+
+    const entry = series.findEntry(req.params.bookId);
+    if (!entry) {
+      return res.status(404).json({ message: 'Book is not in this series' });
+    }
+
+    series.entries = series.entries.filter(item => item !== entry);
+    await series.save();
+
+    res.json({
+      message: 'Book removed from series successfully',
+      entries: series.orderedEntries()
+    });
+
+  } catch (error) {
+    console.error('Remove series book error:', error);
+    res.status(500).json({ message: 'Server error while removing book from series' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,444 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult, query } = require('express-validator');
+const Shelf = require('../models/Shelf');
+const ShelfEntry = require('../models/ShelfEntry');
+const Book = require('../models/Book');
+const User = require('../models/User');
+const { auth, optionalAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   GET /api/shelves
+// @desc    Get a user's shelves with book counts (defaults to the current user)
+// @access  Public
+router.get('/', [
+  optionalAuth,
+  query('user').optional().isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Invalid query parameters',
+        errors: errors.array()
+      });
+    }
+
+    const userId = req.query.user || req.user?._id;
+    if (!userId) {
+      return res.status(400).json({ message: 'A user is required' });
+    }
+
+    const user = await User.findById(userId).select('_id');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await Shelf.ensureDefaults(user._id);
+
+    const [shelves, counts] = await Promise.all([
+      Shelf.find({ user: user._id }).sort({ key: -1, name: 1 }).select('-__v'),
+      ShelfEntry.aggregate([
+        { $match: { user: user._id } },
+        { $group: { _id: '$shelf', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const countByShelf = Object.fromEntries(counts.map(count => [count._id.toString(), count.count]));
+
+    res.json({
+      shelves: shelves.map(shelf => ({
+        ...shelf.toJSON(),
+        booksCount: countByShelf[shelf._id.toString()] || 0
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get shelves error:', error);
+    res.status(500).json({ message: 'Server error while fetching shelves' });
+  }
+});
+
+// @route   GET /api/shelves/book/:bookId
+// @desc    Get the current user's shelf entries for a book
+// @access  Private
+router.get('/book/:bookId', auth, async (req, res) => {
+  try {
+    const entries = await ShelfEntry.find({ user: req.user._id, book: req.params.bookId })
+      .populate('shelf', 'name key')
+      .select('-__v');
+
+    res.json({ entries });
+
+  } catch (error) {
+    console.error('Get book shelves error:', error);
+    res.status(500).json({ message: 'Server error while fetching book shelves' });
+  }
+});
+
+// @route   POST /api/shelves
+// @desc    Create a custom shelf
+// @access  Private
+router.post('/', [
+  auth,
+  body('name').trim().notEmpty().withMessage('Shelf name is required').isLength({ max: 50 }),
+  body('description').optional().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await Shelf.ensureDefaults(req.user._id);
+
+    const existingShelf = await Shelf.findOne({ user: req.user._id, name: req.body.name });
+    if (existingShelf) {
+      return res.status(400).json({ message: 'You already have a shelf with this name' });
+    }
+
+    const shelf = new Shelf({
+      user: req.user._id,
+      name: req.body.name,
+      description: req.body.description
+    });
+    await shelf.save();
+
+    res.status(201).json({
+      message: 'Shelf created successfully',
+      shelf
+    });
+
+  } catch (error) {
+    console.error('Create shelf error:', error);
+    res.status(500).json({ message: 'Server error while creating shelf' });
+  }
+});
+
+// @route   PUT /api/shelves/:id
+// @desc    Rename or describe a custom shelf
+// @access  Private (shelf owner)
+router.put('/:id', [
+  auth,
+  body('name').optional().trim().notEmpty().isLength({ max: 50 }),
+  body('description').optional().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const shelf = await Shelf.resolve(req.user._id, req.params.id);
+    if (!shelf) {
+      return res.status(404).json({ message: 'Shelf not found' });
+    }
+
+    if (shelf.isBuiltin && req.body.name !== undefined) {
+      return res.status(400).json({ message: 'Built-in shelves cannot be renamed' });
+    }
+
+    if (req.body.name && req.body.name !== shelf.name) {
+      const existingShelf = await Shelf.findOne({ user: req.user._id, name: req.body.name });
+      if (existingShelf) {
+        return res.status(400).json({ message: 'You already have a shelf with this name' });
+      }
+      shelf.name = req.body.name;
+    }
+
+    if (req.body.description !== undefined) {
+      shelf.description = req.body.description;
+    }
+
+    await shelf.save();
+
+    res.json({
+      message: 'Shelf updated successfully',
+      shelf
+    });
+
+  } catch (error) {
+    console.error('Update shelf error:', error);
+    res.status(500).json({ message: 'Server error while updating shelf' });
+  }
+});
+
+// @route   DELETE /api/shelves/:id
+// @desc    Delete a custom shelf and its entries
+// @access  Private (shelf owner)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const shelf = await Shelf.resolve(req.user._id, req.params.id);
+    if (!shelf) {
+      return res.status(404).json({ message: 'Shelf not found' });
+    }
+
+    if (shelf.isBuiltin) {
+      return res.status(400).json({ message: 'Built-in shelves cannot be deleted' });
+    }
+
+    await ShelfEntry.deleteMany({ shelf: shelf._id });
+    await Shelf.findByIdAndDelete(shelf._id);
+
+    res.json({ message: 'Shelf deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete shelf error:', error);
+    res.status(500).json({ message: 'Server error while deleting shelf' });
+  }
+});
+
+// @route   GET /api/shelves/:id/books
+// @desc    Get books on a shelf with pagination
+// @access  Public (built-in keys require ?user= or a logged-in user)
+router.get('/:id/books', [
+  optionalAuth,
+  query('user').optional().isMongoId(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 50 }),
+  query('sortBy').optional().isIn(['dateAdded', 'dateStarted', 'dateFinished']),
+  query('order').optional().isIn(['asc', 'desc'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Invalid query parameters',
+        errors: errors.array()
+      });
+    }
+
+    let shelf;
+    if (Shelf.BUILTIN_KEYS.includes(req.params.id)) {
+      const userId = req.query.user || req.user?._id;
+      if (!userId) {
+        return res.status(400).json({ message: 'A user is required' });
+      }
+      shelf = await Shelf.findOne({ user: userId, key: req.params.id });
+    } else if (mongoose.Types.ObjectId.isValid(req.params.id)) {
+      shelf = await Shelf.findById(req.params.id);
+    }
+
+    if (!shelf) {
+      return res.status(404).json({ message: 'Shelf not found' });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 12;
+    const skip = (page - 1) * limit;
+
+    const sortBy = req.query.sortBy || 'dateAdded';
+    const order = req.query.order === 'asc' ? 1 : -1;
+    const sort = { [sortBy]: order };
+
+    const filter = { shelf: shelf._id };
+
+    const [entries, total] = await Promise.all([
+      ShelfEntry.find(filter)
+        .sort(sort)
+        .skip(skip)
+        .limit(limit)
+        .populate('book', 'title author coverImage averageRating pageCount')
+        .select('-__v'),
+      ShelfEntry.countDocuments(filter)
+    ]);
+
+    res.json({
+      shelf,
+      entries,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Get shelf books error:', error);
+    res.status(500).json({ message: 'Server error while fetching shelf books' });
+  }
+});
+
+// @route   POST /api/shelves/:id/books
+// @desc    Add a book to a shelf
+// @access  Private (shelf owner)
+router.post('/:id/books', [
+  auth,
+  body('book').isMongoId().withMessage('Valid book ID is required'),
+  body('notes').optional().isLength({ max: 1000 }),
+  body('dateStarted').optional().isISO8601(),
+  body('dateFinished').optional().isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const shelf = await Shelf.resolve(req.user._id, req.params.id);
+    if (!shelf) {
+      return res.status(404).json({ message: 'Shelf not found' });
+    }
+
+    const book = await Book.findCurrent(req.body.book);
+    if (!book) {
+      return res.status(404).json({ message: 'Book not found' });
+    }
+
+    const entry = await shelf.addBook(book._id, req.body);
+    await entry.populate('book', 'title author coverImage');
+
+    res.status(201).json({
+      message: `Book added to ${shelf.name}`,
+      entry
+    });
+
+  } catch (error) {
+    console.error('Add shelf book error:', error);
+    res.status(500).json({ message: 'Server error while adding book to shelf' });
+  }
+});
+
+// @route   PUT /api/shelves/:id/books/:bookId
+// @desc    Update notes and dates of a shelf entry
+// @access  Private (shelf owner)
+router.put('/:id/books/:bookId', [
+  auth,
+  body('notes').optional().isLength({ max: 1000 }),
+  body('dateAdded').optional().isISO8601(),
+  body('dateStarted').optional({ nullable: true }).isISO8601(),
+  body('dateFinished').optional({ nullable: true }).isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const shelf = await Shelf.resolve(req.user._id, req.params.id);
+    if (!shelf) {
+      return res.status(404).json({ message: 'Shelf not found' });
+    }
+
+    const allowedUpdates = ['notes', 'dateAdded', 'dateStarted', 'dateFinished'];
+    const updates = {};
+    allowedUpdates.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+
+    const entry = await ShelfEntry.findOneAndUpdate(
+      { shelf: shelf._id, book: req.params.bookId },
+      updates,
+      { new: true, runValidators: true }
+    ).populate('book', 'title author coverImage');
+
+    if (!entry) {
+      return res.status(404).json({ message: 'Book is not on this shelf' });
+    }
+
+    res.json({
+      message: 'Shelf entry updated successfully',
+      entry
+    });
+
+  } catch (error) {
+    console.error('Update shelf entry error:', error);
+    res.status(500).json({ message: 'Server error while updating shelf entry' });
+  }
+});
+
+// @route   POST /api/shelves/:id/books/:bookId/move
+// @desc    Move a book to another shelf, keeping its notes and dates
+// @access  Private (shelf owner)
+router.post('/:id/books/:bookId/move', [
+  auth,
+  body('shelf').notEmpty().withMessage('Target shelf is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const [fromShelf, toShelf] = await Promise.all([
+      Shelf.resolve(req.user._id, req.params.id),
+      Shelf.resolve(req.user._id, req.body.shelf)
+    ]);
+    if (!fromShelf || !toShelf) {
+      return res.status(404).json({ message: 'Shelf not found' });
+    }
+
+    const entry = await ShelfEntry.findOne({ shelf: fromShelf._id, book: req.params.bookId });
+    if (!entry) {
+      return res.status(404).json({ message: 'Book is not on this shelf' });
+    }
+
+    if (fromShelf._id.equals(toShelf._id)) {
+      return res.json({ message: `Book is already on ${toShelf.name}`, entry });
+    }
+
+    // addBook moves built-in entries itself; custom shelves need the old entry removed
+    const movedEntry = await toShelf.addBook(entry.book, {
+      notes: entry.notes,
+      dateStarted: entry.dateStarted,
+      dateFinished: entry.dateFinished
+    });
+    if (!movedEntry._id.equals(entry._id)) {
+      await ShelfEntry.deleteOne({ _id: entry._id });
+    }
+    await movedEntry.populate('book', 'title author coverImage');
+
+    res.json({
+      message: `Book moved to ${toShelf.name}`,
+      entry: movedEntry
+    });
+
+  } catch (error) {
+    console.error('Move shelf entry error:', error);
+    res.status(500).json({ message: 'Server error while moving book' });
+  }
+});
+
+// @route   DELETE /api/shelves/:id/books/:bookId
+// @desc    Remove a book from a shelf
+// @access  Private (shelf owner)
+router.delete('/:id/books/:bookId', auth, async (req, res) => {
+  try {
+    const shelf = await Shelf.resolve(req.user._id, req.params.id);
+    if (!shelf) {
+      return res.status(404).json({ message: 'Shelf not found' });
+    }
+
+    const entry = await ShelfEntry.findOneAndDelete({ shelf: shelf._id, book: req.params.bookId });
+    if (!entry) {
+      return res.status(404).json({ message: 'Book is not on this shelf' });
+    }
+
+    res.json({ message: `Book removed from ${shelf.name}` });
+
+  } catch (error) {
+    console.error('Remove shelf entry error:', error);
+    res.status(500).json({ message: 'Server error while removing book from shelf' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,341 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Book = require('../models/Book');
+const Work = require('../models/Work');
+const Author = require('../models/Author');
+const EditSuggestion = require('../models/EditSuggestion');
+const BookRevision = require('../models/BookRevision');
+const { auth, requireVerified } = require('../middleware/auth');
+
+const router = express.Router();
+
+const { SUGGESTIBLE_FIELDS, sameValue } = EditSuggestion;
+
+const canManageBook = (book, user) => (
+  book.addedBy.toString() === user._id.toString() || user.role === 'admin'
+);
+
+// Load a pending suggestion and its book, checking the user may decide on it.
+// Sends the error response and resolves to null when they can't.
+const loadForReview = async (req, res) => {
+  const suggestion = await EditSuggestion.findById(req.params.id);
+  if (!suggestion) {
+    res.status(404).json({ message: 'Suggestion not found' });
+    return null;
+  }
+
+  const book = await Book.findById(suggestion.book);
+  if (!book) {
+    res.status(404).json({ message: 'Book not found' });
+    return null;
+  }
+
+  if (!canManageBook(book, req.user)) {
+    res.status(403).json({ message: 'Not authorized to review suggestions for this book' });
+    return null;
+  }
+
+  if (suggestion.status !== 'pending') {
+    res.status(400).json({ message: `Suggestion has already been ${suggestion.status}` });
+    return null;
+  }
+
+  return { suggestion, book };
+};
+
+// @route   GET /api/suggestions
+// @desc    List edit suggestions: those awaiting the user's decision (on books
+//          they added, or all books for admins), or with ?scope=mine the ones they made
+// @access  Private
+router.get('/', [
+  auth,
+  query('scope').optional().isIn(['review', 'mine']),
+  query('status').optional().isIn(['pending', 'approved', 'rejected']),
+  query('book').optional().isMongoId(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 50 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Invalid query parameters',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = { status: req.query.status || 'pending' };
+
+    if (req.query.scope === 'mine') {
+      filter.proposedBy = req.user._id;
+    } else if (req.user.role !== 'admin') {
+      filter.book = { $in: await Book.find({ addedBy: req.user._id }).distinct('_id') };
+    }
+
+    if (req.query.book) {
+      filter.book = filter.book
+        ? { $in: filter.book.$in.filter(id => id.equals(req.query.book)) }
+        : req.query.book;
+    }
+
+    const [suggestions, total] = await Promise.all([
+      EditSuggestion.find(filter)
+        .sort({ createdAt: filter.status === 'pending' ? 1 : -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('book', 'title author coverImage')
+        .populate('proposedBy', 'username firstName lastName avatar')
+        .populate('reviewedBy', 'username')
+        .select('-__v'),
+      EditSuggestion.countDocuments(filter)
+    ]);
+
+    res.json({
+      suggestions,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Get suggestions error:', error);
+    res.status(500).json({ message: 'Server error while fetching suggestions' });
+  }
+});
+
+// @route   POST /api/suggestions
+// @desc    Propose field-level edits to a book, e.g. { book, changes: { title: "..." } }
+// @access  Private
+router.post('/', [
+  auth,
+  requireVerified('books'),
+  body('book').isMongoId().withMessage('Valid book ID is required'),
+  body('changes')
+    .isObject()
+    .withMessage('Changes must be an object of field values')
+    .custom(changes => Object.keys(changes).length > 0 && Object.keys(changes).every(field => SUGGESTIBLE_FIELDS.includes(field)))
+    .withMessage(`Changes must include at least one of: ${SUGGESTIBLE_FIELDS.join(', ')}`),
+  body('comment').optional().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const book = await Book.findById(req.body.book);
+    if (!book || book.rejected) {
+      return res.status(404).json({ message: 'Book not found' });
+    }
+
+    const existing = await EditSuggestion.exists({
+      book: book._id,
+      proposedBy: req.user._id,
+      status: 'pending'
+    });
+    if (existing) {
+      return res.status(400).json({
+        message: 'You already have a pending suggestion for this book; withdraw it to propose another'
+      });
+    }
+
+    // Check the proposed values the same way the book itself would, on a copy
+    const fields = Object.keys(req.body.changes);
+    const draft = new Book(book.toObject());
+    fields.forEach(field => draft.set(field, req.body.changes[field]));
+    try {
+      await draft.validate(fields);
+    } catch (validationError) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: Object.values(validationError.errors || {}).map(err => ({ path: err.path, msg: err.message }))
+      });
+    }
+
+    const current = book.toObject();
+    const proposed = draft.toObject();
+    const changes = fields
+      .filter(field => !sameValue(current[field], proposed[field]))
+      .map(field => ({ field, from: current[field], to: proposed[field] }));
+
+    if (changes.length === 0) {
+      return res.status(400).json({ message: 'The suggestion does not change anything' });
+    }
+
+    const suggestion = await EditSuggestion.create({
+      book: book._id,
+      proposedBy: req.user._id,
+      changes,
+      comment: req.body.comment
+    });
+
+    res.status(201).json({
+      message: 'Suggestion submitted for review',
+      suggestion
+    });
+
+  } catch (error) {
+    console.error('Create suggestion error:', error);
+    res.status(500).json({ message: 'Server error while creating suggestion' });
+  }
+});
+
+// @route   POST /api/suggestions/:id/approve
+// @desc    Approve a suggestion and apply its changes to the book
+// @access  Private (book owner or admin)
+router.post('/:id/approve', [
+  auth,
+  body('note').optional().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const loaded = await loadForReview(req, res);
+    if (!loaded) return;
+    const { suggestion, book } = loaded;
+
+    const stale = suggestion.staleFields(book);
+    if (stale.length > 0) {
+      return res.status(409).json({
+        message: 'The book has changed since this edit was proposed',
+        fields: stale
+      });
+    }
+
+    const changes = Object.fromEntries(suggestion.changes.map(change => [change.field, change.to]));
+
+    if (changes.isbn) {
+      const existingBook = await Book.findOne({ isbn: changes.isbn, _id: { $ne: book._id } });
+      if (existingBook) {
+        return res.status(400).json({
+          message: 'Book with this ISBN already exists',
+          book: { _id: existingBook._id, title: existingBook.title }
+        });
+      }
+    }
+
+    const before = BookRevision.snapshotOf(book);
+    book.set(changes);
+
+    // A new byline re-links the author credits, keeping translators and the like
+    if (changes.author) {
+      const credits = await Author.creditsFromByline(changes.author, suggestion.proposedBy);
+      book.authors = [
+        ...credits.map(({ author, role }) => ({ author: author._id, role })),
+        ...book.authors.filter(credit => credit.role !== 'author' && credit.role !== 'co-author')
+      ];
+    }
+
+    await book.save();
+    await BookRevision.record(book, {
+      action: 'update',
+      editor: suggestion.proposedBy,
+      before,
+      note: `Suggested edit approved by ${req.user.username}`
+    });
+
+    // The work takes its title and author from the primary edition
+    if (book.work && book.primaryEdition && (changes.title || changes.author)) {
+      await Work.updateOne({ _id: book.work }, { title: book.title, author: book.author });
+    }
+
+    suggestion.status = 'approved';
+    suggestion.reviewedBy = req.user._id;
+    suggestion.reviewedAt = new Date();
+    suggestion.reviewNote = req.body?.note;
+    await suggestion.save();
+
+    res.json({
+      message: 'Suggestion approved and applied',
+      suggestion,
+      book
+    });
+
+  } catch (error) {
+    console.error('Approve suggestion error:', error);
+    res.status(500).json({ message: 'Server error while approving suggestion' });
+  }
+});
+
+// @route   POST /api/suggestions/:id/reject
+// @desc    Reject a suggestion
+// @access  Private (book owner or admin)
+router.post('/:id/reject', [
+  auth,
+  body('note').optional().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const loaded = await loadForReview(req, res);
+    if (!loaded) return;
+    const { suggestion } = loaded;
+
+    suggestion.status = 'rejected';
+    suggestion.reviewedBy = req.user._id;
+    suggestion.reviewedAt = new Date();
+    suggestion.reviewNote = req.body?.note;
+    await suggestion.save();
+
+    res.json({
+      message: 'Suggestion rejected',
+      suggestion
+    });
+
+  } catch (error) {
+    console.error('Reject suggestion error:', error);
+    res.status(500).json({ message: 'Server error while rejecting suggestion' });
+  }
+});
+
+// @route   DELETE /api/suggestions/:id
+// @desc    Withdraw a pending suggestion
+// @access  Private (suggestion author)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const suggestion = await EditSuggestion.findById(req.params.id);
+    if (!suggestion) {
+      return res.status(404).json({ message: 'Suggestion not found' });
+    }
+
+    if (suggestion.proposedBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to withdraw this suggestion' });
+    }
+
+    if (suggestion.status !== 'pending') {
+      return res.status(400).json({ message: `Suggestion has already been ${suggestion.status}` });
+    }
+
+    await suggestion.deleteOne();
+
+    res.json({ message: 'Suggestion withdrawn' });
+
+  } catch (error) {
+    console.error('Delete suggestion error:', error);
+    res.status(500).json({ message: 'Server error while withdrawing suggestion' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,40 @@
+const express = require('express');
+const { getStorage, isValidKey } = require('../utils/storage');
+
+const router = express.Router();
+
+// @route   GET /api/uploads/*
+// @desc    Serve an uploaded file (book covers, avatars and their thumbnails)
+// @access  Public
+router.get('/*key', async (req, res) => {
+  try {
+    const key = req.params.key.join('/');
+    if (!isValidKey(key)) {
+      return res.status(404).json({ message: 'File not found' });
+    }
+
+    const file = await getStorage().read(key);
+    if (!file) {
+      return res.status(404).json({ message: 'File not found' });
+    }
+
+    // Every upload gets a new random key, so a key's content never changes
+    res.set({
+      'Content-Type': file.contentType,
+      'Cache-Control': 'public, max-age=31536000, immutable',
+      'X-Content-Type-Options': 'nosniff',
+      ...(file.size !== undefined && { 'Content-Length': file.size })
+    });
+    file.stream.on('error', (error) => {
+      console.error('Upload stream error:', error);
+      res.destroy(error);
+    });
+    file.stream.pipe(res);
+
+  } catch (error) {
+    console.error('Get upload error:', error);
+    res.status(500).json({ message: 'Server error while fetching file' });
+  }
+});
+
+module.exports = router;
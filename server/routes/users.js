@@ -3,6 +3,16 @@ const { query, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Review = require('../models/Review');
 const Book = require('../models/Book');
+const Shelf = require('../models/Shelf');
+const ShelfEntry = require('../models/ShelfEntry');
+const ReadingUpdate = require('../models/ReadingUpdate');
+const ReadingChallenge = require('../models/ReadingChallenge');
+const { readingStreaks } = require('../utils/readingStats');
+const { writeLibraryExport, EXPORT_FORMATS } = require('../utils/libraryExport');
+const { imageUpload, storeImage } = require('../utils/images');
+const { removeUploads } = require('../utils/storage');
+const { cursorValidators, paginate } = require('../utils/pagination');
+const { recommendFor } = require('../utils/recommendations');
 const { auth, optionalAuth } = require('../middleware/auth');
 
 const router = express.Router();
@@ -13,6 +23,7 @@ const router = express.Router();
 router.get('/', [
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 50 }),
+  ...cursorValidators,
   query('search').optional().isString(),
   query('sortBy').optional().isIn(['username', 'createdAt', 'firstName']),
   query('order').optional().isIn(['asc', 'desc'])
@@ -26,12 +37,8 @@ router.get('/', [
       });
     }
 
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 12;
-    const skip = (page - 1) * limit;
-
     // Build filter object
-    const filter = {};
+    const filter = { deletedAt: null };
     
     if (req.query.search) {
       filter.$or = [
@@ -46,23 +53,18 @@ router.get('/', [
     const order = req.query.order === 'asc' ? 1 : -1;
     const sort = { [sortBy]: order };
 
-    const users = await User.find(filter)
-      .select('-password -email')
-      .sort(sort)
-      .skip(skip)
-      .limit(limit);
-
-    const total = await User.countDocuments(filter);
-    const totalPages = Math.ceil(total / limit);
+    const listed = await paginate(req, res, {
+      model: User,
+      filter,
+      sort,
+      defaultLimit: 12,
+      build: q => q.select('-password -email')
+    });
+    if (!listed) return;
 
     res.json({
-      users,
-      pagination: {
-        current: page,
-        pages: totalPages,
-        total,
-        limit
-      }
+      users: listed.items,
+      pagination: listed.pagination
     });
 
   } catch (error) {
@@ -71,6 +73,98 @@ router.get('/', [
   }
 });
 
+// @route   GET /api/users/me/export
+// @desc    Download the current user's library: shelves, ratings, reviews and
+//          reading dates as CSV, JSON or a Goodreads-compatible CSV
+// @access  Private
+router.get('/me/export', [
+  auth,
+  query('format').optional().isIn(EXPORT_FORMATS)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Invalid query parameters',
+        errors: errors.array()
+      });
+    }
+
+    const format = req.query.format || 'csv';
+    const date = new Date().toISOString().slice(0, 10);
+    const extension = format === 'json' ? 'json' : 'csv';
+
+    res.set({
+      'Content-Type': format === 'json' ? 'application/json; charset=utf-8' : 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="library-${req.user.username}-${date}${format === 'goodreads' ? '-goodreads' : ''}.${extension}"`
+    });
+
+    await writeLibraryExport(res, req.user._id, format);
+    res.end();
+
+  } catch (error) {
+    console.error('Library export error:', error);
+    // Once streaming has started the status can no longer change
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({ message: 'Server error while exporting library' });
+  }
+});
+
+// @route   POST /api/users/me/avatar
+// @desc    Upload the current user's avatar (multipart field "avatar")
+// @access  Private
+router.post('/me/avatar', [auth, imageUpload('avatar')], async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'An image file is required in the "avatar" field' });
+    }
+
+    const urls = await storeImage(req.file.buffer, 'avatar', `avatars/${req.user._id}`);
+    if (!urls) {
+      return res.status(415).json({ message: 'The file is not a supported image' });
+    }
+
+    const user = await User.findById(req.user._id).select('avatar avatarThumbnail');
+    const previous = [user.avatar, user.avatarThumbnail];
+    user.avatar = urls.large;
+    user.avatarThumbnail = urls.thumbnail;
+    await user.save();
+    await removeUploads(previous);
+
+    res.json({
+      message: 'Avatar uploaded successfully',
+      avatar: user.avatar,
+      avatarThumbnail: user.avatarThumbnail
+    });
+
+  } catch (error) {
+    console.error('Upload avatar error:', error);
+    res.status(500).json({ message: 'Server error while uploading avatar' });
+  }
+});
+
+// @route   DELETE /api/users/me/avatar
+// @desc    Remove the current user's avatar
+// @access  Private
+router.delete('/me/avatar', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('avatar avatarThumbnail');
+    const previous = [user.avatar, user.avatarThumbnail];
+    user.avatar = '';
+    user.avatarThumbnail = '';
+    await user.save();
+    await removeUploads(previous);
+
+    res.json({ message: 'Avatar removed successfully' });
+
+  } catch (error) {
+    console.error('Remove avatar error:', error);
+    res.status(500).json({ message: 'Server error while removing avatar' });
+  }
+});
+
 // @route   GET /api/users/:id
 // @desc    Get user profile by ID
 // @access  Public
@@ -78,8 +172,6 @@ router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const user = await User.findById(req.params.id)
       .select('-password -email')
-      .populate('booksRead', 'title author coverImage averageRating')
-      .populate('wishlist', 'title author coverImage averageRating')
       .populate('followers', 'username firstName lastName avatar')
       .populate('following', 'username firstName lastName avatar');
 
@@ -88,7 +180,7 @@ router.get('/:id', optionalAuth, async (req, res) => {
     }
 
     // Get user's recent reviews
-    const recentReviews = await Review.find({ user: user._id })
+    const recentReviews = await Review.find({ user: user._id, hidden: { $ne: true } })
       .populate('book', 'title author coverImage')
       .sort({ createdAt: -1 })
       .limit(5)
@@ -96,7 +188,7 @@ router.get('/:id', optionalAuth, async (req, res) => {
 
     // Get user's reading stats
     const reviewStats = await Review.aggregate([
-      { $match: { user: user._id } },
+      { $match: { user: user._id, hidden: { $ne: true } } },
       {
         $group: {
           _id: null,
@@ -107,13 +199,16 @@ router.get('/:id', optionalAuth, async (req, res) => {
       }
     ]);
 
+    const shelfCounts = await Shelf.builtinCounts(user._id);
+
     const stats = {
-      booksRead: user.booksRead.length,
+      booksRead: shelfCounts.read,
+      currentlyReading: shelfCounts['currently-reading'],
       reviews: reviewStats[0]?.totalReviews || 0,
       averageRating: reviewStats[0]?.averageRating || 0,
       followers: user.followers.length,
       following: user.following.length,
-      wishlistBooks: user.wishlist.length
+      wishlistBooks: shelfCounts['want-to-read']
     };
 
     // Check if current user is following this user
@@ -143,6 +238,7 @@ router.get('/:id', optionalAuth, async (req, res) => {
 router.get('/:id/reviews', [
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 50 }),
+  ...cursorValidators,
   query('sortBy').optional().isIn(['createdAt', 'rating']),
   query('order').optional().isIn(['asc', 'desc'])
 ], async (req, res) => {
@@ -155,31 +251,24 @@ router.get('/:id/reviews', [
       });
     }
 
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
-
     const sortBy = req.query.sortBy || 'createdAt';
     const order = req.query.order === 'asc' ? 1 : -1;
     const sort = { [sortBy]: order };
 
-    const reviews = await Review.find({ user: req.params.id })
-      .populate('book', 'title author coverImage')
-      .sort(sort)
-      .skip(skip)
-      .limit(limit);
+    const filter = { user: req.params.id, hidden: { $ne: true } };
 
-    const total = await Review.countDocuments({ user: req.params.id });
-    const totalPages = Math.ceil(total / limit);
+    const listed = await paginate(req, res, {
+      model: Review,
+      filter,
+      sort,
+      defaultLimit: 10,
+      build: q => q.populate('book', 'title author coverImage')
+    });
+    if (!listed) return;
 
     res.json({
-      reviews,
-      pagination: {
-        current: page,
-        pages: totalPages,
-        total,
-        limit
-      }
+      reviews: listed.items,
+      pagination: listed.pagination
     });
 
   } catch (error) {
@@ -235,35 +324,30 @@ router.post('/:id/follow', auth, async (req, res) => {
 });
 
 // @route   POST /api/users/wishlist/:bookId
-// @desc    Add/Remove book from wishlist
+// @desc    Add/Remove book from wishlist (the "Want to Read" shelf)
 // @access  Private
 router.post('/wishlist/:bookId', auth, async (req, res) => {
   try {
-    const bookId = req.params.bookId;
-    const user = await User.findById(req.user._id);
-
     // Check if book exists
-    const book = await Book.findById(bookId);
+    const book = await Book.findCurrent(req.params.bookId);
     if (!book) {
       return res.status(404).json({ message: 'Book not found' });
     }
 
-    const isInWishlist = user.wishlist.includes(bookId);
+    const { 'want-to-read': wishlist } = await Shelf.ensureDefaults(req.user._id);
+    const removed = await ShelfEntry.findOneAndDelete({ shelf: wishlist._id, book: book._id });
+    const isInWishlist = Boolean(removed);
 
-    if (isInWishlist) {
-      // Remove from wishlist
-      user.wishlist.pull(bookId);
-    } else {
-      // Add to wishlist
-      user.wishlist.push(bookId);
+    if (!isInWishlist) {
+      await wishlist.addBook(book._id);
     }
 
-    await user.save();
+    const wishlistCount = await ShelfEntry.countDocuments({ shelf: wishlist._id });
 
     res.json({
       message: isInWishlist ? 'Book removed from wishlist' : 'Book added to wishlist',
       inWishlist: !isInWishlist,
-      wishlistCount: user.wishlist.length
+      wishlistCount
     });
 
   } catch (error) {
@@ -272,6 +356,60 @@ router.post('/wishlist/:bookId', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/users/:id/reading-activity
+// @desc    Get user's reading timeline (starts, progress updates, finishes) and streaks
+// @access  Public
+router.get('/:id/reading-activity', [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 50 }),
+  ...cursorValidators,
+  query('book').optional().isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Invalid query parameters',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.id).select('_id');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const filter = { user: user._id };
+    if (req.query.book) filter.book = req.query.book;
+
+    const [listed, readingDays] = await Promise.all([
+      paginate(req, res, {
+        model: ReadingUpdate,
+        filter,
+        sort: { createdAt: -1 },
+        defaultLimit: 20,
+        build: q => q.populate('book', 'title author coverImage pageCount').select('-user -__v')
+      }),
+      ReadingUpdate.aggregate([
+        { $match: { user: user._id } },
+        { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } } } }
+      ])
+    ]);
+
+    if (!listed) return;
+
+    res.json({
+      activity: listed.items,
+      streaks: readingStreaks(readingDays.map(day => day._id)),
+      pagination: listed.pagination
+    });
+
+  } catch (error) {
+    console.error('Get reading activity error:', error);
+    res.status(500).json({ message: 'Server error while fetching reading activity' });
+  }
+});
+
 // @route   GET /api/users/:id/reading-stats
 // @desc    Get user's reading statistics
 // @access  Public
@@ -280,7 +418,7 @@ router.get('/:id/reading-stats', async (req, res) => {
     const userId = req.params.id;
 
     // Basic stats
-    const user = await User.findById(userId).select('readingGoal booksRead');
+    const user = await User.findById(userId).select('_id');
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
@@ -333,36 +471,26 @@ router.get('/:id/reading-stats', async (req, res) => {
       { $sort: { count: -1 } }
     ]);
 
-    // Monthly reading progress (current year)
-    const currentYear = new Date().getFullYear();
-    const monthlyProgress = await Review.aggregate([
-      {
-        $match: {
-          user: new mongoose.Types.ObjectId(user._id),
-          createdAt: {
-            $gte: new Date(currentYear, 0, 1),
-            $lt: new Date(currentYear + 1, 0, 1)
-          }
-        }
-      },
-      {
-        $group: {
-          _id: { $month: '$createdAt' },
-          booksRead: { $sum: 1 }
-        }
-      },
-      { $sort: { _id: 1 } }
-    ]);
+    // Progress towards this year's reading challenge
+    const currentYear = new Date().getUTCFullYear();
+    const challenge = await ReadingChallenge.findOne({ user: user._id, year: currentYear })
+      || new ReadingChallenge({ user: user._id, year: currentYear });
+    const challengeProgress = await challenge.getProgress();
+
+    const shelfCounts = await Shelf.builtinCounts(user._id);
 
     const readingStats = {
-      booksRead: user.booksRead.length,
-      readingGoal: user.readingGoal,
+      booksRead: shelfCounts.read,
+      currentlyReading: shelfCounts['currently-reading'],
+      wishlistBooks: shelfCounts['want-to-read'],
+      readingGoal: challenge.targetBooks || null,
       totalReviews: stats[0]?.totalReviews || 0,
       averageRating: stats[0]?.averageRating || 0,
       totalPages: stats[0]?.totalPages || 0,
       genreDistribution: genreStats,
-      monthlyProgress: monthlyProgress,
-      progressPercentage: Math.round((user.booksRead.length / user.readingGoal) * 100)
+      monthlyProgress: challengeProgress.monthlyProgress,
+      challenge: challengeProgress,
+      progressPercentage: challengeProgress.books?.percentage ?? null
     };
 
     res.json({ readingStats });
@@ -374,32 +502,30 @@ router.get('/:id/reading-stats', async (req, res) => {
 });
 
 // @route   GET /api/users/:id/recommendations
-// @desc    Get book recommendations for user based on their reading history
+// @desc    Book recommendations from readers with similar ratings ("readers who
+//          liked X also loved..."), topped up with highly rated books in the user's
+//          genres. Each book carries a `reason`. The similarity model is rebuilt
+//          offline by `npm run recommendations:compute`.
 // @access  Public
-router.get('/:id/recommendations', async (req, res) => {
+router.get('/:id/recommendations', [
+  query('limit').optional().isInt({ min: 1, max: 50 })
+], async (req, res) => {
   try {
-    const user = await User.findById(req.params.id)
-      .populate('booksRead', 'genre')
-      .populate('favoriteGenres');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Invalid query parameters',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.id).select('favoriteGenres');
 
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    // Get user's favorite genres from their reading history
-    const readGenres = user.booksRead.map(book => book.genre);
-    const favoriteGenres = [...new Set([...user.favoriteGenres, ...readGenres])];
-
-    // Get highly rated books in user's favorite genres
-    const recommendations = await Book.find({
-      genre: { $in: favoriteGenres },
-      _id: { $nin: user.booksRead },
-      averageRating: { $gte: 4 },
-      ratingsCount: { $gte: 5 }
-    })
-      .sort({ averageRating: -1, ratingsCount: -1 })
-      .limit(12)
-      .populate('addedBy', 'username firstName lastName');
+    const recommendations = await recommendFor(user, parseInt(req.query.limit) || 12);
 
     res.json({ recommendations });
 
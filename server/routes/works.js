@@ -0,0 +1,191 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Work = require('../models/Work');
+const Book = require('../models/Book');
+const Review = require('../models/Review');
+const { auth } = require('../middleware/auth');
+const { moveReviewsToWork } = require('../utils/bookMerge');
+
+const router = express.Router();
+
+// Only the user who added an edition, or an admin, may regroup it
+const canManageEdition = (user, book) => {
+  return book.addedBy.toString() === user._id.toString() || user.role === 'admin';
+};
+
+// @route   GET /api/works/:id
+// @desc    Get a work with all its editions and rating breakdown
+// @access  Public
+router.get('/:id', async (req, res) => {
+  try {
+    const work = await Work.findById(req.params.id).select('-__v');
+    if (!work) {
+      return res.status(404).json({ message: 'Work not found' });
+    }
+
+    const [editions, ratingDistribution] = await Promise.all([
+      Book.find({ work: work._id, rejected: { $ne: true } })
+        .sort({ primaryEdition: -1, publishedDate: 1 })
+        .select('title author isbn publisher publishedDate pageCount language coverImage primaryEdition editionAverageRating editionRatingsCount'),
+      Review.aggregate([
+        { $match: { work: work._id, hidden: { $ne: true } } },
+        { $group: { _id: '$rating', count: { $sum: 1 } } },
+        { $sort: { _id: -1 } }
+      ])
+    ]);
+
+    res.json({ work, editions, ratingDistribution });
+
+  } catch (error) {
+    console.error('Get work error:', error);
+    res.status(500).json({ message: 'Server error while fetching work' });
+  }
+});
+
+// @route   POST /api/works/:id/editions
+// @desc    Move an existing book into this work as another edition
+// @access  Private (book owner or admin)
+router.post('/:id/editions', [
+  auth,
+  body('book').isMongoId().withMessage('Valid book ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const [work, book] = await Promise.all([
+      Work.findById(req.params.id),
+      Book.findById(req.body.book)
+    ]);
+    if (!work) {
+      return res.status(404).json({ message: 'Work not found' });
+    }
+    if (!book) {
+      return res.status(404).json({ message: 'Book not found' });
+    }
+
+    if (!canManageEdition(req.user, book)) {
+      return res.status(403).json({ message: 'Not authorized to regroup this book' });
+    }
+
+    if (book.work?.equals(work._id)) {
+      return res.status(400).json({ message: 'Book is already an edition of this work' });
+    }
+
+    const previousWorkId = book.work;
+    book.work = work._id;
+    book.primaryEdition = false;
+    await book.save();
+    const otherEditions = await moveReviewsToWork(book, work._id);
+
+    // Editions that lost a review to the one-review-per-work rule need their
+    // ratings recalculated, before the works' totals are
+    await book.updateAverageRating();
+    for (const bookId of otherEditions) {
+      const edition = await Book.findById(bookId);
+      if (edition) await edition.updateAverageRating();
+    }
+
+    const previousWork = previousWorkId && await Work.findById(previousWorkId);
+    if (previousWork) {
+      await previousWork.refreshEditions();
+    }
+    await work.refreshEditions();
+
+    res.json({
+      message: 'Edition added to work successfully',
+      work
+    });
+
+  } catch (error) {
+    console.error('Add edition error:', error);
+    res.status(500).json({ message: 'Server error while adding edition' });
+  }
+});
+
+// @route   DELETE /api/works/:id/editions/:bookId
+// @desc    Split an edition out into a work of its own
+// @access  Private (book owner or admin)
+router.delete('/:id/editions/:bookId', auth, async (req, res) => {
+  try {
+    const [work, book] = await Promise.all([
+      Work.findById(req.params.id),
+      Book.findOne({ _id: req.params.bookId, work: req.params.id })
+    ]);
+    if (!work || !book) {
+      return res.status(404).json({ message: 'Edition not found in this work' });
+    }
+
+    if (!canManageEdition(req.user, book)) {
+      return res.status(403).json({ message: 'Not authorized to regroup this book' });
+    }
+
+    const editionsCount = await Book.countDocuments({ work: work._id });
+    if (editionsCount === 1) {
+      return res.status(400).json({ message: 'A work must keep at least one edition' });
+    }
+
+    const newWork = await Work.createForEdition(book);
+    await Review.updateMany({ book: book._id }, { work: newWork._id });
+
+    await work.refreshEditions();
+    await newWork.updateAverageRating();
+
+    res.json({
+      message: 'Edition split into its own work',
+      work: newWork
+    });
+
+  } catch (error) {
+    console.error('Remove edition error:', error);
+    res.status(500).json({ message: 'Server error while removing edition' });
+  }
+});
+
+// @route   PUT /api/works/:id/primary-edition
+// @desc    Choose which edition represents the work in listings
+// @access  Private (owner of the new primary edition or admin)
+router.put('/:id/primary-edition', [
+  auth,
+  body('book').isMongoId().withMessage('Valid book ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const [work, book] = await Promise.all([
+      Work.findById(req.params.id),
+      Book.findOne({ _id: req.body.book, work: req.params.id })
+    ]);
+    if (!work || !book) {
+      return res.status(404).json({ message: 'Edition not found in this work' });
+    }
+
+    if (!canManageEdition(req.user, book)) {
+      return res.status(403).json({ message: 'Not authorized to change the primary edition' });
+    }
+
+    await work.setPrimaryEdition(book);
+
+    res.json({
+      message: 'Primary edition updated successfully',
+      work
+    });
+
+  } catch (error) {
+    console.error('Set primary edition error:', error);
+    res.status(500).json({ message: 'Server error while setting primary edition' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,27 @@
+// Rebuild the work similarity model behind GET /api/users/:id/recommendations
+// from review ratings. The endpoint only reads the stored lists, so run this
+// on a schedule (e.g. nightly); new ratings count once it has run again.
+// Safe to run at any time: lists are replaced in place and stale ones removed.
+//
+//   npm run recommendations:compute
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const { computeWorkSimilarities } = require('../utils/recommendations');
+
+dotenv.config();
+
+const CONNECTION_URL = process.env.MONGODB_URI || 'mongodb://localhost:27017/bookreview';
+
+const run = async () => {
+  await mongoose.connect(CONNECTION_URL);
+
+  const { readers, works, removed } = await computeWorkSimilarities();
+  console.log(`Ratings from ${readers} readers: similar works stored for ${works} works, ${removed} stale lists removed`);
+};
+
+run()
+  .catch((error) => {
+    console.error('Recommendation model build failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,28 @@
+// Rebuild the duplicate book candidates listed by GET /api/admin/books/duplicates.
+// The report only reads the stored pairs, so run this on a schedule (e.g.
+// nightly) or before a cleanup session; books added since show up once it has
+// run again. Merged and deleted books drop out of the report straight away.
+// Safe to run at any time: pairs are replaced in place and stale ones removed.
+//
+//   npm run duplicates:compute
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const { computeDuplicateCandidates } = require('../utils/bookMerge');
+
+dotenv.config();
+
+const CONNECTION_URL = process.env.MONGODB_URI || 'mongodb://localhost:27017/bookreview';
+
+const run = async () => {
+  await mongoose.connect(CONNECTION_URL);
+
+  const { candidates, removed } = await computeDuplicateCandidates();
+  console.log(`Stored ${candidates} duplicate candidates; ${removed} stale candidates removed`);
+};
+
+run()
+  .catch((error) => {
+    console.error('Duplicate search failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
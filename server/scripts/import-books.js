@@ -0,0 +1,97 @@
+// Bulk import books from a CSV file or a Goodreads library export.
+//
+//   npm run import:books -- <file> --user <username or email> [options]
+//
+// Options:
+//   --format csv|goodreads  Force the file format (detected from the headers by default)
+//   --dry-run               Validate and match every row without saving anything
+//   --shelves               Goodreads: put the books on the user's shelves
+//   --ratings               Goodreads: turn the user's ratings into reviews
+//   --genre <genre>         Genre for rows that do not have one
+//   --cover <url>           Cover image for rows that do not have one
+//   --description <text>    Description for rows that do not have one (Goodreads exports have none)
+//   --json                  Print the full report as JSON
+const fs = require('fs');
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../models/User');
+const { importBooks, IMPORT_FORMATS } = require('../utils/bookImport');
+
+dotenv.config();
+
+const CONNECTION_URL = process.env.MONGODB_URI || 'mongodb://localhost:27017/bookreview';
+
+const parseArgs = (argv) => {
+  const args = { flags: new Set(), options: {}, positional: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (['--user', '--format', '--genre', '--cover', '--description'].includes(arg)) {
+      args.options[arg.slice(2)] = argv[++i];
+    } else if (arg.startsWith('--')) {
+      args.flags.add(arg.slice(2));
+    } else {
+      args.positional.push(arg);
+    }
+  }
+  return args;
+};
+
+const run = async () => {
+  const { flags, options, positional } = parseArgs(process.argv.slice(2));
+  const [file] = positional;
+
+  if (!file || !options.user) {
+    throw new Error('Usage: npm run import:books -- <file> --user <username or email> [--dry-run]');
+  }
+  if (options.format && !IMPORT_FORMATS.includes(options.format)) {
+    throw new Error(`Format must be one of: ${IMPORT_FORMATS.join(', ')}`);
+  }
+
+  const data = fs.readFileSync(file, 'utf8');
+
+  await mongoose.connect(CONNECTION_URL);
+
+  const user = await User.findOne({
+    $or: [{ username: options.user }, { email: options.user.toLowerCase() }]
+  });
+  if (!user) {
+    throw new Error(`User not found: ${options.user}`);
+  }
+
+  const report = await importBooks(data, {
+    userId: user._id,
+    format: options.format,
+    defaults: { genre: options.genre, coverImage: options.cover, description: options.description },
+    dryRun: flags.has('dry-run'),
+    importShelves: flags.has('shelves'),
+    importRatings: flags.has('ratings')
+  });
+
+  if (flags.has('json')) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  report.rows
+    .filter(row => row.status !== 'created')
+    .forEach(row => {
+      const detail = row.errors
+        ? row.errors.map(error => `${error.field}: ${error.message}`).join('; ')
+        : row.reason;
+      console.log(`Row ${row.row} ${row.status} "${row.title || ''}": ${detail}`);
+    });
+
+  const { summary } = report;
+  console.log(
+    `${report.dryRun ? '[dry run] ' : ''}${report.format}: ${summary.total} rows, ` +
+    `${summary.created} created, ${summary.skipped} skipped, ${summary.failed} failed` +
+    (report.format === 'goodreads' ? `, ${summary.shelved} shelved, ${summary.reviewsCreated} reviews` : '')
+  );
+};
+
+run()
+  .catch((error) => {
+    console.error('Import failed:', error.message || error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
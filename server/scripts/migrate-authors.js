@@ -0,0 +1,42 @@
+// Link existing books to Author records. Each book's free-text byline is split
+// on "&", ";" and "and", and every name is matched against existing authors
+// and aliases (ignoring case and punctuation) or created as a new author.
+// Safe to run more than once: books that already have credits are skipped.
+//
+//   npm run migrate:authors
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Book = require('../models/Book');
+const Author = require('../models/Author');
+
+dotenv.config();
+
+const CONNECTION_URL = process.env.MONGODB_URI || 'mongodb://localhost:27017/bookreview';
+
+const run = async () => {
+  await mongoose.connect(CONNECTION_URL);
+
+  const cursor = Book.find({ $or: [{ authors: { $exists: false } }, { authors: { $size: 0 } }] })
+    .select('author addedBy')
+    .cursor();
+
+  let migrated = 0;
+  for await (const book of cursor) {
+    const credits = await Author.creditsFromByline(book.author, book.addedBy);
+    await Book.updateOne(
+      { _id: book._id },
+      { authors: credits.map(({ author, role }) => ({ author: author._id, role })) }
+    );
+    migrated += 1;
+  }
+
+  const authorsCount = await Author.countDocuments();
+  console.log(`Linked ${migrated} books; ${authorsCount} authors in total`);
+};
+
+run()
+  .catch((error) => {
+    console.error('Author migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,56 @@
+// Convert stored ISBNs to canonical ISBN-13 form.
+// Invalid ISBNs, and ISBN-10s whose ISBN-13 form already belongs to another
+// book, are left untouched and listed so they can be fixed by hand. Until
+// then those books can still be saved: the model only checks a changed ISBN.
+// Safe to run more than once: canonical ISBNs are skipped.
+//
+//   npm run migrate:isbns
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Book = require('../models/Book');
+const { toIsbn13 } = require('../utils/isbn');
+
+dotenv.config();
+
+const CONNECTION_URL = process.env.MONGODB_URI || 'mongodb://localhost:27017/bookreview';
+
+const run = async () => {
+  await mongoose.connect(CONNECTION_URL);
+
+  // Read the raw values: the model's setter would already convert them
+  const cursor = Book.collection.find(
+    { isbn: { $exists: true, $ne: null } },
+    { projection: { isbn: 1, title: 1 } }
+  );
+
+  let converted = 0;
+  const problems = [];
+  for await (const rawBook of cursor) {
+    const isbn13 = toIsbn13(rawBook.isbn);
+    if (isbn13 === rawBook.isbn) continue;
+
+    if (!isbn13) {
+      problems.push(`${rawBook._id} "${rawBook.title}": invalid ISBN ${rawBook.isbn}`);
+      continue;
+    }
+
+    const duplicate = await Book.collection.findOne({ isbn: isbn13 }, { projection: { _id: 1 } });
+    if (duplicate) {
+      problems.push(`${rawBook._id} "${rawBook.title}": ${rawBook.isbn} is the same ISBN as book ${duplicate._id}`);
+      continue;
+    }
+
+    await Book.collection.updateOne({ _id: rawBook._id }, { $set: { isbn: isbn13 } });
+    converted += 1;
+  }
+
+  problems.forEach(problem => console.log(problem));
+  console.log(`Converted ${converted} ISBNs; ${problems.length} need attention`);
+};
+
+run()
+  .catch((error) => {
+    console.error('ISBN migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
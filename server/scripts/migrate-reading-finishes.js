@@ -0,0 +1,54 @@
+// Record a finished reading update for every book on a "Read" shelf that has
+// none, dated when the book was finished. Reading challenges count finished
+// updates, and books shelved before they did would otherwise be left out.
+// Safe to run more than once: books with a finished update are skipped.
+//
+//   npm run migrate:reading-finishes
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Book = require('../models/Book');
+const Shelf = require('../models/Shelf');
+const ShelfEntry = require('../models/ShelfEntry');
+const ReadingUpdate = require('../models/ReadingUpdate');
+
+dotenv.config();
+
+const CONNECTION_URL = process.env.MONGODB_URI || 'mongodb://localhost:27017/bookreview';
+
+const run = async () => {
+  await mongoose.connect(CONNECTION_URL);
+
+  const readShelves = await Shelf.find({ key: 'read' }).distinct('_id');
+  const cursor = ShelfEntry.find({ shelf: { $in: readShelves } })
+    .select('user book dateFinished dateAdded')
+    .lean()
+    .cursor();
+
+  let recorded = 0;
+  for await (const entry of cursor) {
+    const finished = await ReadingUpdate.exists({ user: entry.user, book: entry.book, type: 'finished' });
+    if (finished) continue;
+
+    const book = await Book.findById(entry.book).select('pageCount');
+    if (!book) continue;
+
+    await ReadingUpdate.create({
+      user: entry.user,
+      book: entry.book,
+      type: 'finished',
+      page: book.pageCount,
+      totalPages: book.pageCount,
+      createdAt: entry.dateFinished || entry.dateAdded
+    });
+    recorded += 1;
+  }
+
+  console.log(`Recorded ${recorded} finished reading updates`);
+};
+
+run()
+  .catch((error) => {
+    console.error('Reading finishes migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
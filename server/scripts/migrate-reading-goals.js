@@ -0,0 +1,45 @@
+// Turn the legacy lifetime User.readingGoal into a challenge for the current year.
+// Safe to run more than once: users without the legacy field are skipped, and
+// an existing challenge for the year is left untouched.
+//
+//   npm run migrate:reading-goals
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../models/User');
+const ReadingChallenge = require('../models/ReadingChallenge');
+
+dotenv.config();
+
+const CONNECTION_URL = process.env.MONGODB_URI || 'mongodb://localhost:27017/bookreview';
+
+const run = async () => {
+  await mongoose.connect(CONNECTION_URL);
+
+  const year = new Date().getUTCFullYear();
+  const cursor = User.collection.find(
+    { readingGoal: { $exists: true } },
+    { projection: { readingGoal: 1 } }
+  );
+
+  let migrated = 0;
+  for await (const rawUser of cursor) {
+    if (rawUser.readingGoal > 0) {
+      await ReadingChallenge.updateOne(
+        { user: rawUser._id, year },
+        { $setOnInsert: { user: rawUser._id, year, targetBooks: rawUser.readingGoal } },
+        { upsert: true }
+      );
+    }
+    await User.collection.updateOne({ _id: rawUser._id }, { $unset: { readingGoal: '' } });
+    migrated += 1;
+  }
+
+  console.log(`Migrated reading goals for ${migrated} users`);
+};
+
+run()
+  .catch((error) => {
+    console.error('Reading goal migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,59 @@
+// Fill in the typeahead search keys (searchKeys) of books, authors, series and
+// users created before GET /api/search/suggest existed, and the fuzzy search
+// trigrams (searchTrigrams) of books. New and edited documents get their keys
+// from the model hooks.
+// Safe to run more than once: keys are recomputed from the current names.
+//
+//   npm run migrate:search-keys
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Book = require('../models/Book');
+const Author = require('../models/Author');
+const Series = require('../models/Series');
+const User = require('../models/User');
+const { searchKeys } = require('../utils/prefixSearch');
+const { trigrams } = require('../utils/fuzzy');
+
+dotenv.config();
+
+const CONNECTION_URL = process.env.MONGODB_URI || 'mongodb://localhost:27017/bookreview';
+
+// The fields each model's keys are built from, and any other keys to set
+const SOURCES = [
+  {
+    model: Book,
+    fields: ['title'],
+    extra: ['author'],
+    otherKeys: doc => ({ searchTrigrams: trigrams(`${doc.title} ${doc.author}`) })
+  },
+  { model: Author, fields: ['name', 'aliases'] },
+  { model: Series, fields: ['name'] },
+  { model: User, fields: ['username'], filter: { deletedAt: null } }
+];
+
+const run = async () => {
+  await mongoose.connect(CONNECTION_URL);
+
+  for (const { model, fields, extra = [], otherKeys = () => ({}), filter = {} } of SOURCES) {
+    const cursor = model.collection.find(
+      filter,
+      { projection: Object.fromEntries([...fields, ...extra].map(field => [field, 1])) }
+    );
+
+    let updated = 0;
+    for await (const rawDoc of cursor) {
+      const texts = fields.flatMap(field => rawDoc[field] || []);
+      await model.collection.updateOne({ _id: rawDoc._id }, { $set: { searchKeys: searchKeys(...texts), ...otherKeys(rawDoc) } });
+      updated += 1;
+    }
+
+    console.log(`${model.modelName}: updated ${updated}`);
+  }
+};
+
+run()
+  .catch((error) => {
+    console.error('Search key migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,69 @@
+// Turn the legacy embedded Book.series { name, number } into Series documents.
+// Books naming the same series (ignoring case and extra whitespace) are grouped
+// under one Series. Two books claiming the same number are both kept; the
+// conflict is reported by GET /api/series/:id for an editor to resolve.
+// Safe to run more than once: books without the legacy field are skipped.
+//
+//   npm run migrate:series
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Book = require('../models/Book');
+const Series = require('../models/Series');
+
+dotenv.config();
+
+const CONNECTION_URL = process.env.MONGODB_URI || 'mongodb://localhost:27017/bookreview';
+
+const normalize = name => name.trim().replace(/\s+/g, ' ').toLowerCase();
+
+const run = async () => {
+  await mongoose.connect(CONNECTION_URL);
+
+  const cursor = Book.collection.find(
+    { series: { $exists: true } },
+    { projection: { series: 1, addedBy: 1 } }
+  );
+
+  const seriesByName = new Map();
+  let migrated = 0;
+  for await (const rawBook of cursor) {
+    const name = rawBook.series?.name?.trim();
+    if (name) {
+      const key = normalize(name);
+      let series = seriesByName.get(key);
+      if (!series) {
+        const pattern = new RegExp(`^${key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+        series = await Series.findOne({ name: pattern }) ||
+          new Series({ name, addedBy: rawBook.addedBy });
+        seriesByName.set(key, series);
+      }
+
+      if (!series.findEntry(rawBook._id)) {
+        const position = Number.isFinite(rawBook.series.number) && rawBook.series.number >= 0
+          ? rawBook.series.number
+          : undefined;
+        series.entries.push({ book: rawBook._id, position });
+        await series.save();
+      }
+    }
+
+    await Book.collection.updateOne({ _id: rawBook._id }, { $unset: { series: '' } });
+    migrated += 1;
+  }
+
+  for (const series of seriesByName.values()) {
+    const conflicts = series.conflicts();
+    if (conflicts.length > 0) {
+      console.log(`Series "${series.name}" has books sharing positions: ${conflicts.map(c => c.position).join(', ')}`);
+    }
+  }
+
+  console.log(`Migrated ${migrated} books into ${seriesByName.size} series`);
+};
+
+run()
+  .catch((error) => {
+    console.error('Series migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,91 @@
+// Move the legacy User.booksRead and User.wishlist arrays onto shelves.
+// Safe to run more than once: users without the legacy arrays are skipped.
+//
+//   npm run migrate:shelves
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../models/User');
+const Review = require('../models/Review');
+const Shelf = require('../models/Shelf');
+const ShelfEntry = require('../models/ShelfEntry');
+
+dotenv.config();
+
+const CONNECTION_URL = process.env.MONGODB_URI || 'mongodb://localhost:27017/bookreview';
+
+const migrateUser = async (rawUser) => {
+  const shelves = await Shelf.ensureDefaults(rawUser._id);
+  const booksRead = rawUser.booksRead || [];
+  const wishlist = rawUser.wishlist || [];
+
+  // Reviews are the only record of when a book was read
+  const reviews = await Review.find({ user: rawUser._id, book: { $in: booksRead } })
+    .select('book createdAt readingStartDate readingEndDate');
+  const reviewByBook = Object.fromEntries(reviews.map(review => [review.book.toString(), review]));
+
+  const readIds = new Set(booksRead.map(id => id.toString()));
+  const entries = [
+    ...booksRead.map(bookId => {
+      const review = reviewByBook[bookId.toString()];
+      return {
+        user: rawUser._id,
+        shelf: shelves.read._id,
+        book: bookId,
+        dateAdded: review?.createdAt || rawUser.createdAt,
+        dateStarted: review?.readingStartDate,
+        dateFinished: review?.readingEndDate || review?.createdAt
+      };
+    }),
+    // A book that was both read and wishlisted stays on "Read"
+    ...wishlist
+      .filter(bookId => !readIds.has(bookId.toString()))
+      .map(bookId => ({
+        user: rawUser._id,
+        shelf: shelves['want-to-read']._id,
+        book: bookId,
+        dateAdded: rawUser.createdAt
+      }))
+  ];
+
+  if (entries.length > 0) {
+    await ShelfEntry.bulkWrite(entries.map(entry => ({
+      updateOne: {
+        filter: { shelf: entry.shelf, book: entry.book },
+        update: { $setOnInsert: entry },
+        upsert: true
+      }
+    })));
+  }
+
+  await User.collection.updateOne(
+    { _id: rawUser._id },
+    { $unset: { booksRead: '', wishlist: '' } }
+  );
+
+  return entries.length;
+};
+
+const run = async () => {
+  await mongoose.connect(CONNECTION_URL);
+
+  const cursor = User.collection.find(
+    { $or: [{ booksRead: { $exists: true } }, { wishlist: { $exists: true } }] },
+    { projection: { booksRead: 1, wishlist: 1, createdAt: 1 } }
+  );
+
+  let users = 0;
+  let entries = 0;
+  for await (const rawUser of cursor) {
+    entries += await migrateUser(rawUser);
+    users += 1;
+  }
+
+  console.log(`Migrated ${users} users (${entries} shelf entries)`);
+};
+
+run()
+  .catch((error) => {
+    console.error('Shelf migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
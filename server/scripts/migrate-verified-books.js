@@ -0,0 +1,33 @@
+// Mark books added before the verification queue as verified, so they aren't
+// treated as pending submissions. Those books were saved before the model had
+// a `verified` field; every book submitted since has it stored, so books
+// still waiting in the queue are left alone.
+// Safe to run more than once: books with the field are skipped.
+//
+//   npm run migrate:verified-books
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Book = require('../models/Book');
+
+dotenv.config();
+
+const CONNECTION_URL = process.env.MONGODB_URI || 'mongodb://localhost:27017/bookreview';
+
+const run = async () => {
+  await mongoose.connect(CONNECTION_URL);
+
+  // Query the raw documents: the model would fill in the default of false
+  const { modifiedCount } = await Book.collection.updateMany(
+    { verified: { $exists: false } },
+    { $set: { verified: true, rejected: false } }
+  );
+
+  console.log(`Marked ${modifiedCount} existing books as verified`);
+};
+
+run()
+  .catch((error) => {
+    console.error('Verified books migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,68 @@
+// Group existing books into works. Books with the same title and author (ignoring
+// case, punctuation and extra whitespace) become editions of one work; the
+// edition with the most ratings is made primary. Reviews are pointed at their
+// work and every work's rating is recalculated.
+// Safe to run more than once: books that already belong to a work are skipped.
+//
+//   npm run migrate:works
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Book = require('../models/Book');
+const Review = require('../models/Review');
+const Work = require('../models/Work');
+
+dotenv.config();
+
+const CONNECTION_URL = process.env.MONGODB_URI || 'mongodb://localhost:27017/bookreview';
+
+const normalize = value => value.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+const run = async () => {
+  await mongoose.connect(CONNECTION_URL);
+
+  const books = await Book.find({ work: null })
+    .sort({ ratingsCount: -1, publishedDate: 1 })
+    .select('title author publishedDate ratingsCount');
+
+  const groups = new Map();
+  for (const book of books) {
+    const key = `${normalize(book.title)}|${normalize(book.author)}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(book);
+  }
+
+  for (const editions of groups.values()) {
+    // Sorted by ratings, so the first edition becomes primary
+    const [primary] = editions;
+    const work = await Work.create({
+      title: primary.title,
+      author: primary.author,
+      primaryEdition: primary._id
+    });
+    const editionIds = editions.map(edition => edition._id);
+
+    await Book.updateMany({ _id: { $in: editionIds } }, { work: work._id, primaryEdition: false });
+    await Book.updateOne({ _id: primary._id }, { primaryEdition: true });
+    await Review.updateMany({ book: { $in: editionIds } }, { work: work._id });
+  }
+
+  // Recalculate edition ratings, then the work-level rating and original date
+  const migratedIds = books.map(book => book._id);
+  for (const book of await Book.find({ _id: { $in: migratedIds } })) {
+    await book.updateAverageRating();
+  }
+
+  const workIds = await Book.distinct('work', { _id: { $in: migratedIds } });
+  for (const work of await Work.find({ _id: { $in: workIds } })) {
+    await work.refreshEditions();
+  }
+
+  console.log(`Grouped ${books.length} books into ${groups.size} works`);
+};
+
+run()
+  .catch((error) => {
+    console.error('Works migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
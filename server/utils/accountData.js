@@ -0,0 +1,170 @@
+const User = require('../models/User');
+const Review = require('../models/Review');
+const Book = require('../models/Book');
+const Session = require('../models/Session');
+const Shelf = require('../models/Shelf');
+const ShelfEntry = require('../models/ShelfEntry');
+const ReadingUpdate = require('../models/ReadingUpdate');
+const ReadingChallenge = require('../models/ReadingChallenge');
+const Comment = require('../models/Comment');
+const Report = require('../models/Report');
+const Author = require('../models/Author');
+const EditSuggestion = require('../models/EditSuggestion');
+const { removeUploads } = require('./storage');
+
+// Collect everything we hold about a user into a plain JSON archive
+const exportUserData = async (userId) => {
+  const user = await User.findById(userId)
+    .select('-password +warnings')
+    .populate('followers', 'username')
+    .populate('following', 'username')
+    .populate('followedAuthors', 'name');
+
+  const [shelves, shelfEntries, readingUpdates, readingChallenges, comments, reportsFiled, reviews, likedReviews, helpfulVotes, booksAdded, editSuggestions, sessions] = await Promise.all([
+    Shelf.find({ user: userId }).select('name key description createdAt'),
+    ShelfEntry.find({ user: userId })
+      .populate('book', 'title author isbn')
+      .select('shelf book notes dateAdded dateStarted dateFinished'),
+    ReadingUpdate.find({ user: userId })
+      .populate('book', 'title author')
+      .select('-user -__v'),
+    ReadingChallenge.find({ user: userId }).select('year targetBooks targetPages'),
+    Comment.find({ user: userId, deleted: false }).select('review parent content editedAt createdAt'),
+    Report.find({ reporter: userId }).select('review reason details status createdAt'),
+    Review.find({ user: userId })
+      .populate('book', 'title author isbn')
+      .select('-likes -helpful -__v'),
+    Review.find({ likes: userId })
+      .populate('book', 'title author')
+      .select('title book'),
+    Review.find({ 'helpful.user': userId })
+      .populate('book', 'title author')
+      .select('title book helpful'),
+    Book.find({ addedBy: userId }).select('title author isbn createdAt'),
+    EditSuggestion.find({ proposedBy: userId })
+      .populate('book', 'title author')
+      .select('book changes comment status reviewNote createdAt'),
+    Session.find({ user: userId }).select('userAgent ip lastUsedAt createdAt revokedAt')
+  ]);
+
+  const profile = user.toObject({ virtuals: false });
+  delete profile.followers;
+  delete profile.following;
+  delete profile.followedAuthors;
+
+  return {
+    exportedAt: new Date(),
+    profile,
+    reviews: reviews.map(review => review.toObject({ virtuals: false })),
+    shelves: shelves.map(shelf => ({
+      ...shelf.toObject({ virtuals: false }),
+      books: shelfEntries.filter(entry => entry.shelf.equals(shelf._id))
+    })),
+    readingUpdates,
+    readingChallenges,
+    comments,
+    reportsFiled,
+    followers: user.followers,
+    following: user.following,
+    followedAuthors: user.followedAuthors,
+    votes: {
+      likes: likedReviews.map(review => ({ review: review._id, title: review.title, book: review.book })),
+      helpful: helpfulVotes.map(review => ({
+        review: review._id,
+        title: review.title,
+        book: review.book,
+        isHelpful: review.helpful.find(vote => vote.user.toString() === userId.toString()).isHelpful
+      }))
+    },
+    booksAdded,
+    editSuggestions,
+    sessions
+  };
+};
+
+// Remove a user and their traces from other documents.
+// reviews: 'delete' removes their reviews, 'anonymize' keeps them under a scrubbed placeholder account.
+const deleteUserData = async (userId, { reviews = 'delete' } = {}) => {
+  const ownReviews = await Review.find({ user: userId }).select('book');
+  const affectedBookIds = [...new Set(ownReviews.map(review => review.book.toString()))];
+
+  // Comments with replies become "[deleted]" placeholders; the rest are removed
+  const ownComments = await Comment.find({ user: userId, deleted: false }).select('_id review');
+  const repliedTo = await Comment.find({ parent: { $in: ownComments.map(comment => comment._id) } }).distinct('parent');
+  await Comment.updateMany({ _id: { $in: repliedTo } }, { deleted: true, content: '' });
+  await Comment.deleteMany({ user: userId, _id: { $nin: repliedTo } });
+  const affectedReviewIds = [...new Set(ownComments.map(comment => comment.review.toString()))];
+  await Promise.all(affectedReviewIds.map(reviewId => Comment.recount(reviewId)));
+
+  // Pull the user out of other people's social graph and review votes
+  const { followedAuthors = [], avatar, avatarThumbnail } = await User.findById(userId)
+    .select('followedAuthors avatar avatarThumbnail') || {};
+  await Promise.all([
+    removeUploads([avatar, avatarThumbnail]),
+    Author.updateMany({ _id: { $in: followedAuthors } }, { $inc: { followersCount: -1 } }),
+    User.updateMany(
+      { $or: [{ followers: userId }, { following: userId }] },
+      { $pull: { followers: userId, following: userId } }
+    ),
+    Review.updateMany({ likes: userId }, { $pull: { likes: userId } }),
+    Review.updateMany({ 'helpful.user': userId }, { $pull: { helpful: { user: userId } } }),
+    Session.deleteMany({ user: userId }),
+    ShelfEntry.deleteMany({ user: userId }),
+    Shelf.deleteMany({ user: userId }),
+    ReadingUpdate.deleteMany({ user: userId }),
+    ReadingChallenge.deleteMany({ user: userId }),
+    Report.deleteMany({ reporter: userId }),
+    EditSuggestion.deleteMany({ proposedBy: userId })
+  ]);
+
+  if (reviews === 'anonymize') {
+    // Keep the document so reviews still resolve, but strip all personal data.
+    // updateOne skips validators, which would reject the placeholder email.
+    const suffix = userId.toString().slice(-16);
+    await User.updateOne(
+      { _id: userId },
+      {
+        $set: {
+          username: `deleted_${suffix}`,
+          email: `deleted-${suffix}@deleted.invalid`,
+          password: '!',
+          firstName: 'Deleted',
+          lastName: 'User',
+          bio: '',
+          avatar: '',
+          avatarThumbnail: '',
+          favoriteGenres: [],
+          followers: [],
+          following: [],
+          followedAuthors: [],
+          searchKeys: [],
+          isVerified: false,
+          deletedAt: new Date()
+        },
+        $unset: {
+          passwordChangedAt: 1,
+          passwordResetToken: 1,
+          passwordResetExpires: 1,
+          emailVerificationToken: 1,
+          emailVerificationExpires: 1,
+          emailVerificationSentAt: 1,
+          warnings: 1
+        }
+      }
+    );
+    return { reviewsDeleted: 0, reviewsAnonymized: ownReviews.length };
+  }
+
+  await Comment.deleteMany({ review: { $in: ownReviews.map(review => review._id) } });
+  await Review.deleteMany({ user: userId });
+  await Report.closeForDeletedReviews(ownReviews.map(review => review._id));
+  await User.deleteOne({ _id: userId });
+
+  // Ratings of books the user reviewed need recomputing without their reviews
+  const books = await Book.find({ _id: { $in: affectedBookIds } });
+  await Promise.all(books.map(book => book.updateAverageRating()));
+
+  return { reviewsDeleted: ownReviews.length, reviewsAnonymized: 0 };
+};
+
+module.exports = { exportUserData, deleteUserData };
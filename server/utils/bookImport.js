@@ -0,0 +1,326 @@
+const Book = require('../models/Book');
+const Work = require('../models/Work');
+const Author = require('../models/Author');
+const Review = require('../models/Review');
+const Shelf = require('../models/Shelf');
+const BookRevision = require('../models/BookRevision');
+const { parseCsvRecords } = require('./csv');
+const { isValidIsbn, toIsbn13 } = require('./isbn');
+
+const MAX_IMPORT_ROWS = 2000;
+const IMPORT_FORMATS = ['csv', 'goodreads'];
+const GENRES = Book.schema.path('genre').enumValues;
+
+// Header names accepted for each book field in plain CSV files (compared
+// case-insensitively). A `mapping` option can name other columns.
+const CSV_COLUMNS = {
+  title: ['title', 'book title', 'name'],
+  author: ['author', 'authors', 'author name', 'by'],
+  isbn: ['isbn', 'isbn13', 'isbn-13', 'isbn 13', 'isbn10', 'isbn-10', 'isbn 10'],
+  description: ['description', 'summary', 'synopsis'],
+  genre: ['genre', 'category'],
+  subGenres: ['subgenres', 'sub-genres', 'sub genres'],
+  publishedDate: ['published date', 'publication date', 'published', 'date published', 'year published', 'year'],
+  publisher: ['publisher'],
+  pageCount: ['page count', 'pages', 'number of pages'],
+  language: ['language'],
+  coverImage: ['cover image', 'cover', 'cover url', 'image'],
+  tags: ['tags']
+};
+
+// Goodreads' exclusive shelves and the built-in shelves they correspond to
+const GOODREADS_SHELVES = {
+  'read': 'read',
+  'currently-reading': 'currently-reading',
+  'to-read': 'want-to-read'
+};
+
+const squash = value => value.toLowerCase().replace(/[^a-z0-9]/g, '');
+const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const splitList = value => (value ? value.split(/\s*[;,]\s*/).filter(Boolean) : []);
+
+// A genre from our list matching a free-text name, e.g. "sci-fi" or "nonfiction"
+const matchGenre = (name) => {
+  return GENRES.find(genre => squash(genre) === squash(name));
+};
+
+const isGoodreadsExport = (headers) => {
+  return headers.includes('Book Id') && headers.includes('Exclusive Shelf');
+};
+
+// Goodreads wraps ISBNs as ="0306406152" so spreadsheets keep leading zeros
+const goodreadsIsbn = value => value.replace(/^="?|"$/g, '');
+
+const parseDate = (value) => {
+  if (!value) return undefined;
+  const text = /^\d{4}$/.test(value) ? `${value}-01-01` : value.replace(/\//g, '-');
+  const date = new Date(text);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+// Book fields from a plain CSV record
+const fromCsvRecord = (record, headers, mapping = {}) => {
+  const headerByName = Object.fromEntries(headers.map(header => [header.toLowerCase(), header]));
+  const column = (field) => {
+    const header = mapping[field] || CSV_COLUMNS[field].map(name => headerByName[name]).find(Boolean);
+    return header ? record[header] : undefined;
+  };
+
+  const fields = {};
+  Object.keys(CSV_COLUMNS).forEach(field => {
+    const value = column(field);
+    if (value) fields[field] = value;
+  });
+
+  if (fields.genre) fields.genre = matchGenre(fields.genre) || fields.genre;
+  if (fields.subGenres) fields.subGenres = splitList(fields.subGenres);
+  if (fields.tags) fields.tags = splitList(fields.tags);
+
+  return { fields, personal: null };
+};
+
+// Book fields and the exporting user's own shelves, rating and review from a
+// Goodreads library export record. Goodreads does not say what "Additional
+// Authors" did, so only the main author is credited.
+const fromGoodreadsRecord = (record) => {
+  const isbn = goodreadsIsbn(record['ISBN13'] || '') || goodreadsIsbn(record['ISBN'] || '');
+  const shelves = splitList(record['Bookshelves']);
+  const year = record['Year Published'] || record['Original Publication Year'];
+
+  const fields = {
+    title: record['Title'],
+    author: record['Author'],
+    isbn: isbn || undefined,
+    publisher: record['Publisher'] || undefined,
+    pageCount: record['Number of Pages'] || undefined,
+    publishedDate: year || undefined,
+    genre: shelves.map(matchGenre).find(Boolean)
+  };
+  if (isbn && isValidIsbn(isbn)) {
+    fields.coverImage = `https://covers.openlibrary.org/b/isbn/${toIsbn13(isbn)}-L.jpg`;
+  }
+
+  const exclusiveShelf = record['Exclusive Shelf'];
+  const personal = {
+    shelf: GOODREADS_SHELVES[exclusiveShelf],
+    customShelves: shelves.filter(name => !GOODREADS_SHELVES[name] && !matchGenre(name)),
+    rating: parseInt(record['My Rating']) || 0,
+    review: (record['My Review'] || '').replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]+>/g, '').trim(),
+    spoiler: record['Spoiler'] === 'true',
+    dateRead: parseDate(record['Date Read']),
+    readingProgress: exclusiveShelf === 'currently-reading' ? 'currently-reading' : 'completed'
+  };
+
+  Object.keys(fields).forEach(field => fields[field] === undefined && delete fields[field]);
+  return { fields, personal };
+};
+
+// Validate a row's fields against the Book schema, without saving anything
+const validateFields = async (fields, userId) => {
+  const errors = [];
+  if (fields.isbn && !isValidIsbn(fields.isbn)) {
+    errors.push({ field: 'isbn', message: 'Invalid ISBN' });
+  }
+
+  const candidate = new Book({
+    ...fields,
+    publishedDate: parseDate(fields.publishedDate),
+    addedBy: userId
+  });
+  try {
+    await candidate.validate();
+  } catch (error) {
+    Object.values(error.errors || {}).forEach(err => {
+      if (!errors.some(existing => existing.field === err.path)) {
+        errors.push({ field: err.path, message: err.message });
+      }
+    });
+  }
+
+  return { candidate, errors };
+};
+
+// An existing book with the same ISBN, or the same title and author
+const findExistingBook = async (fields) => {
+  const isbn13 = fields.isbn && toIsbn13(fields.isbn);
+  if (isbn13) {
+    const book = await Book.findOne({ isbn: isbn13 }).select('_id title');
+    if (book) return book;
+  }
+
+  return Book.findOne({
+    title: { $regex: `^${escapeRegex(fields.title.trim())}$`, $options: 'i' },
+    author: { $regex: `^${escapeRegex(fields.author.trim())}$`, $options: 'i' }
+  }).select('_id title');
+};
+
+// Put the book on the user's shelves and turn their rating into a review
+const importPersonalData = async (userId, bookId, personal, { importShelves, importRatings }) => {
+  const result = { shelves: [], review: false };
+
+  if (importShelves) {
+    if (personal.shelf) {
+      const shelf = await Shelf.resolve(userId, personal.shelf);
+      await shelf.addBook(bookId, personal.shelf === 'read' ? { dateFinished: personal.dateRead } : {});
+      result.shelves.push(shelf.name);
+    }
+
+    for (const name of personal.customShelves) {
+      const shelfName = name.slice(0, 50);
+      const shelf = await Shelf.findOne({ user: userId, name: shelfName }) ||
+        await Shelf.create({ user: userId, name: shelfName });
+      await shelf.addBook(bookId);
+      result.shelves.push(shelf.name);
+    }
+  }
+
+  if (importRatings && personal.rating > 0) {
+    const book = await Book.findById(bookId).select('work');
+    const existingReview = await Review.findOne({
+      $or: [{ book: bookId }, ...(book.work ? [{ work: book.work }] : [])],
+      user: userId
+    });
+
+    if (!existingReview) {
+      await Review.create({
+        book: bookId,
+        user: userId,
+        rating: personal.rating,
+        title: `${personal.rating}-star rating`,
+        content: (personal.review || `Rated ${personal.rating} out of 5 stars.`).slice(0, 2000),
+        spoilerWarning: personal.spoiler,
+        readingProgress: personal.readingProgress,
+        readingEndDate: personal.dateRead
+      });
+      await Shelf.shelveReviewedBook(userId, bookId, personal.readingProgress);
+      result.review = true;
+    }
+  }
+
+  return result;
+};
+
+// Import books from CSV text. Every row is matched against earlier rows and
+// existing books (by ISBN, then title and author); rows that match nothing are
+// validated and created as new books with their authors and work. With dryRun nothing is written and the report says
+// what would happen.
+const importBooks = async (text, options) => {
+  const {
+    userId,
+    format,
+    mapping,
+    defaults = {},
+    dryRun = false,
+    importShelves = false,
+    importRatings = false
+  } = options;
+
+  // Defaults fill in book fields a file does not have, such as a genre
+  const rowDefaults = {};
+  Object.keys(CSV_COLUMNS).forEach(field => {
+    if (defaults[field] !== undefined) rowDefaults[field] = defaults[field];
+  });
+
+  const { headers, records } = parseCsvRecords(text);
+  const detectedFormat = format || (isGoodreadsExport(headers) ? 'goodreads' : 'csv');
+
+  const report = {
+    format: detectedFormat,
+    dryRun,
+    summary: { total: records.length, created: 0, skipped: 0, failed: 0, shelved: 0, reviewsCreated: 0 },
+    rows: []
+  };
+
+  // Rows already seen in this file, keyed by ISBN and by title + author
+  const seen = new Map();
+
+  for (const { row, record } of records) {
+    const { fields: rowFields, personal } = detectedFormat === 'goodreads'
+      ? fromGoodreadsRecord(record)
+      : fromCsvRecord(record, headers, mapping);
+    const fields = { ...rowDefaults, ...rowFields };
+    if (fields.isbn) fields.isbn = toIsbn13(fields.isbn) || fields.isbn;
+
+    const result = { row, title: fields.title, author: fields.author };
+    report.rows.push(result);
+
+    // Title and author are needed to match the row against other books
+    const missing = ['title', 'author'].filter(field => typeof fields[field] !== 'string' || !fields[field].trim());
+    if (missing.length > 0) {
+      result.status = 'failed';
+      result.errors = missing.map(field => ({ field, message: `Path \`${field}\` is required.` }));
+      report.summary.failed += 1;
+      continue;
+    }
+
+    const keys = [
+      fields.isbn && `isbn:${fields.isbn}`,
+      `title:${squash(fields.title)}|${squash(fields.author)}`
+    ].filter(Boolean);
+    const earlierRow = keys.map(key => seen.get(key)).find(Boolean);
+
+    // Rows matching a book that is already there only need their personal
+    // data imported, so only rows that create a book are validated
+    let bookId;
+    if (earlierRow) {
+      result.status = 'skipped';
+      result.reason = `Duplicate of row ${earlierRow.row}`;
+      result.book = earlierRow.book;
+      bookId = earlierRow.book;
+      report.summary.skipped += 1;
+    } else {
+      const existingBook = await findExistingBook(fields);
+      if (existingBook) {
+        result.status = 'skipped';
+        result.reason = 'Matches an existing book';
+        result.book = existingBook._id;
+        bookId = existingBook._id;
+        report.summary.skipped += 1;
+      } else {
+        const { candidate, errors } = await validateFields(fields, userId);
+        if (errors.length > 0) {
+          result.status = 'failed';
+          result.errors = errors;
+          report.summary.failed += 1;
+          continue;
+        }
+
+        result.status = 'created';
+        report.summary.created += 1;
+
+        if (!dryRun) {
+          const credits = await Author.creditsFromByline(fields.author, userId);
+          candidate.authors = credits.map(({ author, role }) => ({ author: author._id, role }));
+          await candidate.save();
+          await BookRevision.record(candidate, { action: 'create', editor: userId, note: 'Bulk import' });
+          await Work.createForEdition(candidate);
+          result.book = candidate._id;
+          bookId = candidate._id;
+        }
+      }
+    }
+    keys.forEach(key => seen.set(key, earlierRow || result));
+
+    if (personal && (importShelves || importRatings)) {
+      if (dryRun || !bookId) {
+        // Report what would be imported
+        const builtinShelf = Shelf.BUILTIN_SHELVES.find(shelf => shelf.key === personal.shelf);
+        result.shelves = importShelves ? [builtinShelf?.name, ...personal.customShelves].filter(Boolean) : [];
+        result.review = importRatings && personal.rating > 0;
+      } else {
+        const imported = await importPersonalData(userId, bookId, personal, { importShelves, importRatings });
+        result.shelves = imported.shelves;
+        result.review = imported.review;
+      }
+      if (result.shelves.length > 0) report.summary.shelved += 1;
+      if (result.review) report.summary.reviewsCreated += 1;
+    }
+  }
+
+  return report;
+};
+
+// Number of data rows in a CSV file, for enforcing MAX_IMPORT_ROWS up front
+const countRows = text => parseCsvRecords(text).records.length;
+
+module.exports = { importBooks, countRows, MAX_IMPORT_ROWS, IMPORT_FORMATS, IMPORT_FIELDS: Object.keys(CSV_COLUMNS) };
@@ -0,0 +1,434 @@
+const Book = require('../models/Book');
+const Author = require('../models/Author');
+const Review = require('../models/Review');
+const Comment = require('../models/Comment');
+const Report = require('../models/Report');
+const Shelf = require('../models/Shelf');
+const ShelfEntry = require('../models/ShelfEntry');
+const ReadingUpdate = require('../models/ReadingUpdate');
+const Series = require('../models/Series');
+const Work = require('../models/Work');
+const EditSuggestion = require('../models/EditSuggestion');
+const BookRevision = require('../models/BookRevision');
+const DuplicateCandidate = require('../models/DuplicateCandidate');
+const { removeUploads } = require('./storage');
+
+// How much each signal counts towards a candidate's score
+const WEIGHTS = { title: 0.6, author: 0.3, year: 0.1 };
+
+const BOOK_SUMMARY_FIELDS = 'title author isbn publisher publishedDate coverImage work ratingsCount verified createdAt';
+
+// Lowercase with accents and punctuation stripped: "Café, Paris!" -> "cafe paris"
+const normalizeText = value => value
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim();
+
+const normalizeTitle = title => normalizeText(title).replace(/^(the|a|an) /, '').replace(/ /g, '');
+
+// Title without its subtitle or edition note: "Dune: Deluxe Edition" -> "dune"
+const mainTitle = title => normalizeTitle(title.split(/[:([]/)[0]);
+
+// "J.R.R. Tolkien & Christopher Tolkien" -> "christophertolkien|jrrtolkien"
+const normalizeAuthors = byline => Author.splitAuthorNames(byline)
+  .map(Author.normalizeName)
+  .sort()
+  .join('|');
+
+// Dice coefficient over character bigrams: 0 (nothing shared) to 1 (identical)
+const similarity = (a, b) => {
+  if (a === b) return 1;
+  if (a.length < 2 || b.length < 2) return 0;
+
+  const bigrams = new Map();
+  for (let i = 0; i < a.length - 1; i++) {
+    const pair = a.slice(i, i + 2);
+    bigrams.set(pair, (bigrams.get(pair) || 0) + 1);
+  }
+
+  let shared = 0;
+  for (let i = 0; i < b.length - 1; i++) {
+    const pair = b.slice(i, i + 2);
+    if (bigrams.get(pair) > 0) {
+      bigrams.set(pair, bigrams.get(pair) - 1);
+      shared += 1;
+    }
+  }
+
+  return (2 * shared) / (a.length + b.length - 2);
+};
+
+const round = value => Math.round(value * 100) / 100;
+
+const scorePair = (a, b) => {
+  const title = Math.max(
+    similarity(a.title, b.title),
+    a.mainTitle && a.mainTitle === b.mainTitle ? 0.9 : 0
+  );
+  const author = similarity(a.authors, b.authors);
+  const yearsApart = Math.abs(a.year - b.year);
+  const year = yearsApart === 0 ? 1 : yearsApart === 1 ? 0.5 : 0;
+
+  return {
+    score: round(title * WEIGHTS.title + author * WEIGHTS.author + year * WEIGHTS.year),
+    similarity: { title: round(title), author: round(author), year }
+  };
+};
+
+// Which of two duplicates should survive a merge: the better-rated one, then
+// the one with an ISBN, then the one added first
+const preferredBook = (a, b) => {
+  if (a.ratingsCount !== b.ratingsCount) return a.ratingsCount > b.ratingsCount ? a : b;
+  if (Boolean(a.isbn) !== Boolean(b.isbn)) return a.isbn ? a : b;
+  return a.createdAt <= b.createdAt ? a : b;
+};
+
+// Comparing every pair within a block is quadratic, so blocks larger than
+// this only compare each book with its nearest neighbors by title
+const MAX_BLOCK_SIZE = 200;
+const TITLE_WINDOW = 20;
+// Pairs scoring below this are not stored; the report's minScore can't go lower
+const MIN_STORED_SCORE = 0.5;
+const WRITE_BATCH_SIZE = 500;
+
+// Comparison pairs within one block: all of them, or in a large block those
+// within TITLE_WINDOW of each other in title order
+const blockPairs = function* (books) {
+  const sorted = books.length > MAX_BLOCK_SIZE
+    ? [...books].sort((a, b) => (a.title < b.title ? -1 : a.title > b.title ? 1 : 0))
+    : books;
+  const window = books.length > MAX_BLOCK_SIZE ? TITLE_WINDOW : sorted.length;
+
+  for (let i = 0; i < sorted.length; i++) {
+    for (let j = i + 1; j < Math.min(sorted.length, i + 1 + window); j++) {
+      yield [sorted[i], sorted[j]];
+    }
+  }
+};
+
+// Rebuild the stored duplicate candidates: pairs of books that look like the
+// same edition added twice. Books are only compared with others sharing the
+// longest word of their byline (usually the surname) and the first letter of
+// their main title, and two books with different ISBNs are distinct editions
+// rather than duplicates. Candidates from an earlier run that no longer
+// qualify are removed.
+const computeDuplicateCandidates = async () => {
+  const computedAt = new Date();
+  const blocks = new Map();
+  const cursor = Book.find().select('title author isbn publishedDate').lean().cursor();
+
+  for await (const book of cursor) {
+    const words = normalizeText(book.author).split(' ');
+    const surname = words.reduce((longest, word) => (word.length > longest.length ? word : longest), '');
+    const main = mainTitle(book.title);
+    if (!surname || !main) continue;
+
+    const block = `${surname}|${main[0]}`;
+    if (!blocks.has(block)) blocks.set(block, []);
+    blocks.get(block).push({
+      _id: book._id,
+      isbn: book.isbn,
+      title: normalizeTitle(book.title),
+      mainTitle: main,
+      authors: normalizeAuthors(book.author),
+      year: book.publishedDate.getUTCFullYear()
+    });
+  }
+
+  const operations = [];
+  for (const books of blocks.values()) {
+    for (const [a, b] of blockPairs(books)) {
+      if (a.isbn && b.isbn) continue;
+
+      const match = scorePair(a, b);
+      if (match.score < MIN_STORED_SCORE) continue;
+
+      const pair = [a._id, b._id].sort((x, y) => x.toString().localeCompare(y.toString()));
+      operations.push({
+        updateOne: {
+          filter: { books: pair },
+          update: { $set: { books: pair, ...match, computedAt } },
+          upsert: true
+        }
+      });
+    }
+  }
+
+  for (let i = 0; i < operations.length; i += WRITE_BATCH_SIZE) {
+    await DuplicateCandidate.bulkWrite(operations.slice(i, i + WRITE_BATCH_SIZE));
+  }
+  const { deletedCount } = await DuplicateCandidate.deleteMany({ computedAt: { $lt: computedAt } });
+
+  return { candidates: operations.length, removed: deletedCount };
+};
+
+// A page of the stored duplicate candidates, best match first
+const findDuplicateCandidates = async ({ minScore = 0.85, skip = 0, limit = 20 } = {}) => {
+  const filter = { score: { $gte: minScore } };
+  const [page, total] = await Promise.all([
+    DuplicateCandidate.find(filter).sort({ score: -1, _id: 1 }).skip(skip).limit(limit).lean(),
+    DuplicateCandidate.countDocuments(filter)
+  ]);
+
+  const books = await Book.find({ _id: { $in: page.flatMap(pair => pair.books) } })
+    .select(BOOK_SUMMARY_FIELDS);
+  const bookById = new Map(books.map(book => [book._id.toString(), book]));
+
+  const candidates = page
+    .map(({ score, similarity: pairSimilarity, computedAt, books: ids }) => ({
+      score,
+      similarity: pairSimilarity,
+      books: ids.map(id => bookById.get(id.toString())),
+      computedAt
+    }))
+    .filter(pair => pair.books.every(Boolean))
+    .map(pair => ({
+      ...pair,
+      sameWork: Boolean(pair.books[0].work && pair.books[0].work.equals(pair.books[1].work)),
+      suggestedTarget: preferredBook(...pair.books)._id
+    }));
+
+  return { candidates, total };
+};
+
+const engagement = review => review.likes.length + review.helpful.length + review.commentsCount;
+
+// Whether `review` is kept over `existing`, another review by the same user of
+// the same work: the one with more likes, votes and comments wins, the more
+// recently updated one on a tie
+const keepsOver = (review, existing) => (
+  engagement(review) > engagement(existing) ||
+  (engagement(review) === engagement(existing) && review.updatedAt > existing.updatedAt)
+);
+
+// Delete reviews that lost to another review by the same user, with their comments
+const removeReviews = async (reviews) => {
+  const ids = reviews.map(review => review._id);
+  await Comment.deleteMany({ review: { $in: ids } });
+  await Review.deleteMany({ _id: { $in: ids } });
+  await Report.closeForDeletedReviews(ids);
+};
+
+// Move the source's reviews to the target. Where a user reviewed both (or
+// another edition of the target's work), only one review is kept (see keepsOver).
+const mergeReviews = async (target, source) => {
+  const [sourceReviews, targetReviews] = await Promise.all([
+    Review.find({ book: source._id }),
+    Review.find({
+      book: { $ne: source._id },
+      $or: [{ book: target._id }, ...(target.work ? [{ work: target.work }] : [])]
+    })
+  ]);
+  const targetByUser = new Map(targetReviews.map(review => [review.user.toString(), review]));
+
+  const moved = [];
+  const dropped = [];
+  sourceReviews.forEach(review => {
+    const existing = targetByUser.get(review.user.toString());
+    if (!existing || keepsOver(review, existing)) {
+      moved.push(review._id);
+      if (existing) dropped.push(existing);
+    } else {
+      dropped.push(review);
+    }
+  });
+
+  // Dropped reviews go first so the moved ones don't clash on (book, user)
+  await removeReviews(dropped);
+  await Review.updateMany({ _id: { $in: moved } }, { book: target._id, work: target.work });
+
+  // Other editions that lost a review need their rating recalculated
+  const otherEditions = dropped
+    .map(review => review.book)
+    .filter(bookId => !bookId.equals(target._id) && !bookId.equals(source._id));
+
+  return { moved: moved.length, dropped: dropped.length, otherEditions };
+};
+
+// Point a book's reviews at the work it was moved into. A user who also
+// reviewed another edition of that work keeps one review (see keepsOver).
+// Resolves to the IDs of the other editions that lost a review.
+const moveReviewsToWork = async (book, workId) => {
+  const [bookReviews, workReviews] = await Promise.all([
+    Review.find({ book: book._id }),
+    Review.find({ work: workId, book: { $ne: book._id } })
+  ]);
+  const workByUser = new Map(workReviews.map(review => [review.user.toString(), review]));
+
+  const dropped = [];
+  bookReviews.forEach(review => {
+    const existing = workByUser.get(review.user.toString());
+    if (existing) {
+      dropped.push(keepsOver(review, existing) ? existing : review);
+    }
+  });
+
+  await removeReviews(dropped);
+  await Review.updateMany({ book: book._id }, { work: workId });
+
+  return dropped.map(review => review.book).filter(bookId => !bookId.equals(book._id));
+};
+
+// Keep the earliest add date, fill in missing reading dates and keep both notes
+const combineEntries = (into, from) => {
+  if (from.dateAdded < into.dateAdded) into.dateAdded = from.dateAdded;
+  into.dateStarted = into.dateStarted || from.dateStarted;
+  into.dateFinished = into.dateFinished || from.dateFinished;
+  if (from.notes && from.notes !== into.notes) {
+    into.notes = [into.notes, from.notes].filter(Boolean).join('\n\n').slice(0, 1000);
+  }
+};
+
+// Move shelf entries to the target. A user with both books on the same shelf
+// keeps one entry, and a book on two built-in shelves stays on the one
+// furthest along (read, then currently reading, then want to read).
+const mergeShelfEntries = async (target, source) => {
+  const sourceEntries = await ShelfEntry.find({ book: source._id }).populate('shelf', 'key');
+  const targetEntries = await ShelfEntry.find({
+    book: target._id,
+    user: { $in: sourceEntries.map(entry => entry.user) }
+  }).populate('shelf', 'key');
+
+  const progress = entry => Shelf.BUILTIN_KEYS.indexOf(entry.shelf.key);
+  let moved = 0;
+  let combined = 0;
+
+  for (const entry of sourceEntries) {
+    const sameShelf = targetEntries.find(other => other.shelf._id.equals(entry.shelf._id));
+    const otherBuiltin = entry.shelf.key && targetEntries.find(other => (
+      other.user.equals(entry.user) && other.shelf.key
+    ));
+    const existing = sameShelf || otherBuiltin;
+
+    if (existing && (sameShelf || progress(existing) >= progress(entry))) {
+      combineEntries(existing, entry);
+      await ShelfEntry.deleteOne({ _id: entry._id });
+      await existing.save();
+      combined += 1;
+    } else {
+      if (existing) {
+        combineEntries(entry, existing);
+        await ShelfEntry.deleteOne({ _id: existing._id });
+        combined += 1;
+      }
+      entry.book = target._id;
+      await entry.save();
+      moved += 1;
+    }
+  }
+
+  return { moved, combined };
+};
+
+// Point series entries at the target, dropping the source's entry from series
+// that already list the target
+const mergeSeriesEntries = async (target, source) => {
+  const seriesList = await Series.find({ 'entries.book': source._id });
+
+  for (const series of seriesList) {
+    if (series.findEntry(target._id)) {
+      series.entries = series.entries.filter(entry => !entry.book.equals(source._id));
+    } else {
+      series.findEntry(source._id).book = target._id;
+    }
+    await series.save();
+  }
+
+  return seriesList.length;
+};
+
+// Fill the target's gaps from the source: ISBN, cover, credits, tags and awards
+const mergeBookFields = (target, source) => {
+  if (!target.isbn && source.isbn) {
+    target.isbn = source.isbn;
+  }
+
+  if (!target.coverImage && source.coverImage) {
+    target.coverImage = source.coverImage;
+    target.coverThumbnails = source.coverThumbnails;
+  }
+
+  source.authors.forEach(credit => {
+    if (!target.authors.some(existing => existing.author.equals(credit.author))) {
+      target.authors.push({ author: credit.author, role: credit.role });
+    }
+  });
+
+  target.tags = [...new Set([...target.tags, ...source.tags])];
+  target.subGenres = [...new Set([...target.subGenres, ...source.subGenres])];
+  source.awards.forEach(award => {
+    if (!target.awards.some(existing => existing.name === award.name && existing.year === award.year)) {
+      target.awards.push({ name: award.name, year: award.year });
+    }
+  });
+
+  target.mergedIds = [...target.mergedIds, source._id, ...source.mergedIds];
+};
+
+// Merge a duplicate (source) into the book that survives (target). Everything
+// pointing at the source is moved over, the source is deleted and its ID (and
+// any IDs merged into it before) resolves to the target from then on.
+// Both books must be loaded with +mergedIds. `editor` is the admin merging them.
+const mergeBooks = async (target, source, { editor } = {}) => {
+  const targetBefore = BookRevision.snapshotOf(target);
+
+  const reviews = await mergeReviews(target, source);
+  const shelfEntries = await mergeShelfEntries(target, source);
+  const readingUpdates = await ReadingUpdate.updateMany({ book: source._id }, { book: target._id });
+  const seriesUpdated = await mergeSeriesEntries(target, source);
+
+  mergeBookFields(target, source);
+
+  // The source goes first so its ISBN is free for the target. Edits proposed
+  // against the source's values don't carry over.
+  await Book.deleteOne({ _id: source._id });
+  await EditSuggestion.deleteMany({ book: source._id });
+  await DuplicateCandidate.deleteMany({ books: source._id });
+  await target.save();
+
+  await BookRevision.record(target, {
+    action: 'update',
+    editor,
+    before: targetBefore,
+    note: `Merged duplicate ${source._id}`
+  });
+  await BookRevision.record(source, {
+    action: 'delete',
+    editor,
+    before: BookRevision.snapshotOf(source),
+    note: `Merged into ${target._id}`
+  });
+
+  // Remove the source's covers, past and present, unless the target took one over
+  const targetCovers = [target.coverImage, target.coverThumbnails?.medium, target.coverThumbnails?.thumbnail];
+  const sourceCovers = [
+    source.coverImage, source.coverThumbnails?.medium, source.coverThumbnails?.thumbnail,
+    ...await BookRevision.coverUrls(source._id)
+  ];
+  await removeUploads(sourceCovers.filter(url => !targetCovers.includes(url)));
+
+  // Recalculate ratings: the target (and its work), editions that lost a
+  // review, and the source's work, which may now be empty or need a new primary edition
+  await target.updateAverageRating();
+  for (const bookId of reviews.otherEditions) {
+    const edition = await Book.findById(bookId);
+    if (edition) await edition.updateAverageRating();
+  }
+  const sourceWork = source.work && await Work.findById(source.work);
+  if (sourceWork) {
+    await sourceWork.refreshEditions();
+  }
+
+  return {
+    reviewsMoved: reviews.moved,
+    reviewsDropped: reviews.dropped,
+    shelfEntriesMoved: shelfEntries.moved,
+    shelfEntriesCombined: shelfEntries.combined,
+    readingUpdatesMoved: readingUpdates.modifiedCount,
+    seriesUpdated
+  };
+};
+
+module.exports = { computeDuplicateCandidates, findDuplicateCandidates, mergeBooks, moveReviewsToWork };
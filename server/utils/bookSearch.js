@@ -0,0 +1,177 @@
+const Book = require('../models/Book');
+const { searchWords } = require('./prefixSearch');
+const { trigrams, scoreFields } = require('./fuzzy');
+
+// Facet buckets
+const RATING_THRESHOLDS = [4, 3, 2, 1];
+const PAGE_COUNT_BOUNDARIES = [0, 200, 400, 600];
+const MAX_TAG_FACETS = 20;
+
+// Fuzzy search: books sharing at least MIN_TRIGRAM_OVERLAP of the query's
+// trigrams are scored word by word, keeping up to MAX_FUZZY_CANDIDATES of them
+const MIN_TRIGRAM_OVERLAP = 0.3;
+const MAX_FUZZY_CANDIDATES = 500;
+const MIN_WORD_SIMILARITY = 0.6;
+const MIN_FUZZY_SCORE = 0.6;
+
+const toList = value => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+// Conditions for each facet the request filters on, keyed by facet name.
+// Query values are expected to have passed the route's validators.
+const facetFilters = (query) => {
+  const filters = {};
+
+  if (query.genre) filters.genre = { genre: query.genre };
+  if (query.language) filters.language = { language: query.language };
+  if (query.availability) filters.availability = { availability: query.availability };
+
+  // Every listed tag must be present
+  if (query.tags) filters.tags = { tags: { $all: toList(query.tags) } };
+
+  if (query.minRating) filters.rating = { averageRating: { $gte: parseFloat(query.minRating) } };
+
+  if (query.minPages || query.maxPages) {
+    filters.pageCount = { pageCount: {} };
+    if (query.minPages) filters.pageCount.pageCount.$gte = parseInt(query.minPages);
+    if (query.maxPages) filters.pageCount.pageCount.$lte = parseInt(query.maxPages);
+  }
+
+  if (query.yearFrom || query.yearTo) {
+    filters.year = { publishedDate: {} };
+    if (query.yearFrom) filters.year.publishedDate.$gte = new Date(Date.UTC(parseInt(query.yearFrom), 0, 1));
+    if (query.yearTo) filters.year.publishedDate.$lt = new Date(Date.UTC(parseInt(query.yearTo) + 1, 0, 1));
+  }
+
+  return filters;
+};
+
+// Merge facet conditions into one filter, leaving out the named facet
+const combine = (filters, except) => Object.assign(
+  {},
+  ...Object.entries(filters).filter(([name]) => name !== except).map(([, condition]) => condition)
+);
+
+const countBy = field => [
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } }
+];
+
+// Per-value result counts for each facet, for books matching `base` (the
+// non-facet conditions, including any $text search) and the facet filters.
+// Each facet's counts ignore that facet's own filter, so picking a genre still
+// shows how many results the other genres would give.
+const computeFacets = async (base, filters) => {
+  const [result] = await Book.aggregate([
+    { $match: base },
+    {
+      $facet: {
+        genre: [{ $match: combine(filters, 'genre') }, ...countBy('genre')],
+        language: [{ $match: combine(filters, 'language') }, ...countBy('language')],
+        availability: [{ $match: combine(filters, 'availability') }, ...countBy('availability')],
+        // Tags narrow further rather than switch, so their counts include the tag filter
+        tags: [
+          { $match: combine(filters) },
+          { $unwind: '$tags' },
+          ...countBy('tags'),
+          { $limit: MAX_TAG_FACETS }
+        ],
+        rating: [
+          { $match: combine(filters, 'rating') },
+          {
+            $group: {
+              _id: null,
+              ...Object.fromEntries(RATING_THRESHOLDS.map(min => [
+                `min${min}`,
+                { $sum: { $cond: [{ $gte: ['$averageRating', min] }, 1, 0] } }
+              ]))
+            }
+          }
+        ],
+        pageCount: [
+          { $match: combine(filters, 'pageCount') },
+          {
+            $bucket: {
+              groupBy: '$pageCount',
+              boundaries: PAGE_COUNT_BOUNDARIES,
+              default: 'more',
+              output: { count: { $sum: 1 } }
+            }
+          }
+        ],
+        year: [
+          { $match: combine(filters, 'year') },
+          {
+            $group: {
+              _id: { $multiply: [{ $floor: { $divide: [{ $year: '$publishedDate' }, 10] } }, 10] },
+              count: { $sum: 1 }
+            }
+          },
+          { $sort: { _id: -1 } }
+        ]
+      }
+    }
+  ]);
+
+  const values = buckets => buckets.map(bucket => ({ value: bucket._id, count: bucket.count }));
+  const [ratings = {}] = result.rating;
+  const lastBoundary = PAGE_COUNT_BOUNDARIES[PAGE_COUNT_BOUNDARIES.length - 1];
+
+  return {
+    genre: values(result.genre),
+    language: values(result.language),
+    availability: values(result.availability),
+    tags: values(result.tags),
+    // "4 stars & up" and so on
+    rating: RATING_THRESHOLDS.map(min => ({ min, count: ratings[`min${min}`] || 0 })),
+    pageCount: result.pageCount.map(bucket => (bucket._id === 'more'
+      ? { min: lastBoundary, max: null, count: bucket.count }
+      : {
+        min: bucket._id,
+        max: PAGE_COUNT_BOUNDARIES[PAGE_COUNT_BOUNDARIES.indexOf(bucket._id) + 1] - 1,
+        count: bucket.count
+      })),
+    // Decades, newest first
+    year: result.year.map(bucket => ({ from: bucket._id, to: bucket._id + 9, count: bucket.count }))
+  };
+};
+
+// Typo-tolerant matches for `text` among books matching `base`, best first:
+// [{ _id, score, highlights: { title: [{ start, end }], author: [...] } }].
+// Candidates come from the trigram index; each query word is then compared
+// with the title and byline words by edit distance.
+const fuzzyMatches = async (base, text) => {
+  // Short words ("of", "a") are noise unless they're all there is
+  const allWords = [...new Set(searchWords(text))];
+  const longWords = allWords.filter(word => word.length >= 3);
+  const queryWords = longWords.length > 0 ? longWords : allWords;
+  const queryTrigrams = trigrams(queryWords.join(' '));
+
+  if (queryTrigrams.length === 0) return [];
+
+  const candidates = await Book.aggregate([
+    { $match: { ...base, searchTrigrams: { $in: queryTrigrams } } },
+    {
+      $project: {
+        title: 1,
+        author: 1,
+        ratingsCount: 1,
+        overlap: { $size: { $setIntersection: ['$searchTrigrams', queryTrigrams] } }
+      }
+    },
+    { $match: { overlap: { $gte: Math.ceil(queryTrigrams.length * MIN_TRIGRAM_OVERLAP) } } },
+    { $sort: { overlap: -1, ratingsCount: -1 } },
+    { $limit: MAX_FUZZY_CANDIDATES }
+  ]);
+
+  return candidates
+    .map(book => ({
+      _id: book._id,
+      ratingsCount: book.ratingsCount || 0,
+      ...scoreFields(queryWords, { title: book.title, author: book.author }, MIN_WORD_SIMILARITY)
+    }))
+    .filter(match => match.score >= MIN_FUZZY_SCORE)
+    .sort((a, b) => b.score - a.score || b.ratingsCount - a.ratingsCount)
+    .map(({ ratingsCount, ...match }) => match);
+};
+
+module.exports = { facetFilters, computeFacets, fuzzyMatches };
@@ -0,0 +1,76 @@
+// Minimal RFC 4180 CSV parsing: quoted fields may contain commas, newlines and
+// doubled quotes. Returns an array of rows, each an array of strings.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Drop a UTF-8 byte order mark, as written by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+// Parse CSV with a header row into objects keyed by the (trimmed) header names.
+// Blank rows are skipped; `row` is each record's 1-based row number, counting the header.
+const parseCsvRecords = (text) => {
+  const [headerRow = [], ...rows] = parseCsv(text);
+  const headers = headerRow.map(header => header.trim());
+
+  const records = [];
+  rows.forEach((row, index) => {
+    if (row.every(value => value.trim() === '')) return;
+
+    const record = {};
+    headers.forEach((header, column) => {
+      record[header] = (row[column] || '').trim();
+    });
+    records.push({ row: index + 2, record });
+  });
+
+  return { headers, records };
+};
+
+// Format one CSV line, quoting fields that contain commas, quotes or newlines
+const toCsvRow = (values) => {
+  return values.map(value => {
+    const text = value == null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',') + '\r\n';
+};
+
+module.exports = { parseCsv, parseCsvRecords, toCsvRow };
@@ -0,0 +1,76 @@
+const { searchWords } = require('./prefixSearch');
+
+// Trigrams of each word, padded like PostgreSQL's pg_trgm so word starts and
+// ends count: "hary" -> "  h", " ha", "har", "ary", "ry "
+const trigrams = (text) => {
+  const grams = searchWords(text).flatMap((word) => {
+    const padded = `  ${word} `;
+    return Array.from({ length: padded.length - 2 }, (_, i) => padded.slice(i, i + 3));
+  });
+  return [...new Set(grams)];
+};
+
+// Edit distance counting a swap of neighbouring letters as one edit, so
+// "tolkein" is one edit from "tolkien"
+const editDistance = (a, b) => {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+};
+
+// 0 (unrelated) to 1 (same word). A word the query word is a prefix of counts
+// as a near match, so results don't vanish while the last word is being typed.
+const wordSimilarity = (queryWord, word) => {
+  if (queryWord === word) return 1;
+  if (queryWord.length >= 3 && word.startsWith(queryWord)) return 0.9;
+  return 1 - editDistance(queryWord, word) / Math.max(queryWord.length, word.length);
+};
+
+// Words of `text` with their position, for highlighting
+const wordsWithRanges = (text) => {
+  return [...text.matchAll(/[\p{L}\p{N}]+/gu)].map(match => ({
+    word: searchWords(match[0]).join(''),
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+};
+
+// How well `fields` (e.g. { title, author }) match the query words, and the
+// ranges [start, end) of the words in each field that matched one
+const scoreFields = (queryWords, fields, minWordSimilarity) => {
+  const words = Object.fromEntries(Object.entries(fields).map(([name, text]) => [name, wordsWithRanges(text || '')]));
+  const highlights = Object.fromEntries(Object.keys(fields).map(name => [name, []]));
+
+  const total = queryWords.reduce((sum, queryWord) => {
+    let best = 0;
+    Object.entries(words).forEach(([name, fieldWords]) => {
+      fieldWords.forEach(({ word, start, end }) => {
+        const similarity = wordSimilarity(queryWord, word);
+        if (similarity >= minWordSimilarity && !highlights[name].some(range => range.start === start)) {
+          highlights[name].push({ start, end });
+        }
+        best = Math.max(best, similarity);
+      });
+    });
+    return sum + best;
+  }, 0);
+
+  Object.values(highlights).forEach(ranges => ranges.sort((a, b) => a.start - b.start));
+
+  return {
+    score: queryWords.length > 0 ? Math.round((total / queryWords.length) * 100) / 100 : 0,
+    highlights
+  };
+};
+
+module.exports = { trigrams, editDistance, wordSimilarity, scoreFields };
@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const multer = require('multer');
+const sharp = require('sharp');
+const { getStorage, urlForKey } = require('./storage');
+
+const ALLOWED_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+const ALLOWED_FORMATS = ['jpeg', 'png', 'webp', 'gif'];
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+// Variants generated for each kind of image, all stored as WebP.
+// `large` is what coverImage / avatar point at.
+const IMAGE_SIZES = {
+  cover: {
+    large: { width: 600, height: 900, fit: 'inside' },
+    medium: { width: 300, height: 450, fit: 'inside' },
+    thumbnail: { width: 120, height: 180, fit: 'inside' }
+  },
+  avatar: {
+    large: { width: 256, height: 256, fit: 'cover' },
+    thumbnail: { width: 64, height: 64, fit: 'cover' }
+  }
+};
+
+const maxUploadBytes = () => parseInt(process.env.UPLOAD_MAX_BYTES) || 5 * 1024 * 1024;
+
+// A data: URI in place of an image URL; those belong in an upload instead
+const isInlineImage = value => typeof value === 'string' && /^data:/i.test(value.trim());
+
+// Middleware accepting one image in a multipart `field`, kept in memory as req.file.
+// Rejects oversized files (413) and non-image content types (415).
+const imageUpload = (field) => (req, res, next) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxUploadBytes(), files: 1 },
+    fileFilter: (req, file, cb) => {
+      if (ALLOWED_TYPES.includes(file.mimetype)) return cb(null, true);
+      const error = new Error('Only JPEG, PNG, WebP and GIF images are allowed');
+      error.code = 'UNSUPPORTED_MEDIA_TYPE';
+      cb(error);
+    }
+  }).single(field);
+
+  upload(req, res, (error) => {
+    if (!error) return next();
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        message: `Images must be at most ${Math.floor(maxUploadBytes() / (1024 * 1024))} MB`
+      });
+    }
+    if (error.code === 'UNSUPPORTED_MEDIA_TYPE') {
+      return res.status(415).json({ message: error.message });
+    }
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({ message: error.message });
+    }
+    next(error);
+  });
+};
+
+// Resize an uploaded image into the variants for `kind` and store them under
+// `prefix`. Resolves to { large, medium, ... } URLs, or null when the bytes
+// are not actually a supported image (whatever the declared content type).
+const storeImage = async (buffer, kind, prefix) => {
+  let image;
+  try {
+    image = sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS });
+    const metadata = await image.metadata();
+    if (!ALLOWED_FORMATS.includes(metadata.format)) return null;
+  } catch (error) {
+    return null;
+  }
+
+  const id = crypto.randomBytes(8).toString('hex');
+  const storage = getStorage();
+  const urls = {};
+
+  for (const [size, options] of Object.entries(IMAGE_SIZES[kind])) {
+    const output = await image
+      .clone()
+      .rotate() // Respect EXIF orientation
+      .resize({ ...options, withoutEnlargement: true })
+      .webp({ quality: 82 })
+      .toBuffer();
+
+    const key = `${prefix}/${id}-${size}.webp`;
+    await storage.save(key, output, 'image/webp');
+    urls[size] = urlForKey(key);
+  }
+
+  return urls;
+};
+
+module.exports = { imageUpload, storeImage, isInlineImage, IMAGE_SIZES };
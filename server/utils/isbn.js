@@ -0,0 +1,53 @@
+// ISBN helpers. Books store ISBNs in canonical ISBN-13 form; ISBN-10 input is
+// converted on the way in so both forms of the same book compare equal.
+
+// Strip hyphens and spaces, and upper-case the ISBN-10 "X" check digit
+const normalizeIsbn = (input) => {
+  return String(input).replace(/[\s-]/g, '').toUpperCase();
+};
+
+const isbn10CheckDigit = (first9) => {
+  const sum = [...first9].reduce((total, digit, i) => total + Number(digit) * (10 - i), 0);
+  const check = (11 - (sum % 11)) % 11;
+  return check === 10 ? 'X' : String(check);
+};
+
+const isbn13CheckDigit = (first12) => {
+  const sum = [...first12].reduce((total, digit, i) => total + Number(digit) * (i % 2 === 0 ? 1 : 3), 0);
+  return String((10 - (sum % 10)) % 10);
+};
+
+const isValidIsbn10 = (isbn) => {
+  return /^\d{9}[\dX]$/.test(isbn) && isbn10CheckDigit(isbn.slice(0, 9)) === isbn[9];
+};
+
+const isValidIsbn13 = (isbn) => {
+  return /^97[89]\d{10}$/.test(isbn) && isbn13CheckDigit(isbn.slice(0, 12)) === isbn[12];
+};
+
+// True for a well-formed ISBN-10 or ISBN-13 with a correct check digit
+const isValidIsbn = (input) => {
+  const isbn = normalizeIsbn(input);
+  return isValidIsbn10(isbn) || isValidIsbn13(isbn);
+};
+
+// Canonical ISBN-13 for either form, or null if the input is not a valid ISBN
+const toIsbn13 = (input) => {
+  const isbn = normalizeIsbn(input);
+  if (isValidIsbn13(isbn)) return isbn;
+  if (!isValidIsbn10(isbn)) return null;
+
+  const first12 = `978${isbn.slice(0, 9)}`;
+  return first12 + isbn13CheckDigit(first12);
+};
+
+// ISBN-10 form of a valid ISBN, or null (979-prefixed ISBNs have no ISBN-10)
+const toIsbn10 = (input) => {
+  const isbn13 = toIsbn13(input);
+  if (!isbn13 || !isbn13.startsWith('978')) return null;
+
+  const first9 = isbn13.slice(3, 12);
+  return first9 + isbn10CheckDigit(first9);
+};
+
+module.exports = { normalizeIsbn, isValidIsbn, isValidIsbn10, isValidIsbn13, toIsbn13, toIsbn10 };
@@ -0,0 +1,193 @@
+const Book = require('../models/Book');
+const Review = require('../models/Review');
+const Shelf = require('../models/Shelf');
+const ShelfEntry = require('../models/ShelfEntry');
+const { toCsvRow } = require('./csv');
+const { toIsbn10 } = require('./isbn');
+
+const EXPORT_FORMATS = ['csv', 'json', 'goodreads'];
+
+// Built-in shelf keys as Goodreads names them
+const GOODREADS_SHELF_NAMES = {
+  'read': 'read',
+  'currently-reading': 'currently-reading',
+  'want-to-read': 'to-read'
+};
+
+const CSV_HEADERS = [
+  'Title', 'Author', 'Additional Authors', 'ISBN13', 'ISBN10', 'Publisher', 'Pages',
+  'Year Published', 'Original Publication Year', 'Shelf', 'Shelves', 'Rating',
+  'Review Title', 'Review', 'Spoiler', 'Date Added', 'Date Started', 'Date Read', 'Notes'
+];
+
+// Column layout of a Goodreads library export, which most book sites import
+const GOODREADS_HEADERS = [
+  'Book Id', 'Title', 'Author', 'Author l-f', 'Additional Authors', 'ISBN', 'ISBN13',
+  'My Rating', 'Average Rating', 'Publisher', 'Binding', 'Number of Pages', 'Year Published',
+  'Original Publication Year', 'Date Read', 'Date Added', 'Bookshelves', 'Bookshelves with positions',
+  'Exclusive Shelf', 'My Review', 'Spoiler', 'Private Notes', 'Read Count', 'Owned Copies'
+];
+
+const isoDate = date => (date ? date.toISOString().slice(0, 10) : '');
+const goodreadsDate = date => isoDate(date).replace(/-/g, '/');
+const year = date => (date ? date.getUTCFullYear() : '');
+
+// "J.R.R. Tolkien" -> "Tolkien, J.R.R."
+const lastFirst = (name) => {
+  const parts = name.trim().split(/\s+/);
+  return parts.length > 1 ? `${parts.pop()}, ${parts.join(' ')}` : name;
+};
+
+// One record per book the user has shelved or reviewed, in title order
+async function* libraryRecords(userId) {
+  const [shelves, entries, reviews] = await Promise.all([
+    Shelf.find({ user: userId }).select('name key'),
+    ShelfEntry.find({ user: userId }).select('shelf book notes dateAdded dateStarted dateFinished'),
+    Review.find({ user: userId })
+      .select('book rating title content spoilerWarning readingStartDate readingEndDate createdAt')
+  ]);
+
+  const shelfById = new Map(shelves.map(shelf => [shelf._id.toString(), shelf]));
+  const entriesByBook = new Map();
+  entries.forEach(entry => {
+    const key = entry.book.toString();
+    entriesByBook.set(key, [...(entriesByBook.get(key) || []), entry]);
+  });
+  const reviewByBook = new Map(reviews.map(review => [review.book.toString(), review]));
+  const bookIds = [...new Set([...entriesByBook.keys(), ...reviewByBook.keys()])];
+
+  const cursor = Book.find({ _id: { $in: bookIds } })
+    .sort({ title: 1 })
+    .populate('authors.author', 'name')
+    .populate('work', 'originalPublishedDate')
+    .select('title author authors isbn publisher pageCount publishedDate work averageRating')
+    .cursor();
+
+  for await (const book of cursor) {
+    const bookEntries = entriesByBook.get(book._id.toString()) || [];
+    const review = reviewByBook.get(book._id.toString());
+
+    const builtinEntry = bookEntries.find(entry => shelfById.get(entry.shelf.toString())?.key);
+    const builtinShelf = builtinEntry && shelfById.get(builtinEntry.shelf.toString());
+    const customShelves = bookEntries
+      .map(entry => shelfById.get(entry.shelf.toString()))
+      .filter(shelf => shelf && !shelf.key)
+      .map(shelf => shelf.name);
+
+    const creditedNames = book.authors
+      .filter(credit => credit.author)
+      .map(credit => credit.author.name);
+    const dates = [...bookEntries.map(entry => entry.dateAdded), review?.createdAt].filter(Boolean);
+
+    yield {
+      book: book._id,
+      title: book.title,
+      author: book.author,
+      additionalAuthors: creditedNames.filter(name => !book.author.includes(name)),
+      isbn13: book.isbn || null,
+      isbn10: book.isbn ? toIsbn10(book.isbn) : null,
+      publisher: book.publisher,
+      pageCount: book.pageCount,
+      publishedDate: book.publishedDate,
+      originalPublishedDate: book.work?.originalPublishedDate || book.publishedDate,
+      averageRating: book.averageRating,
+      shelf: builtinShelf?.key || null,
+      shelves: customShelves,
+      rating: review?.rating || null,
+      reviewTitle: review?.title || null,
+      review: review?.content || null,
+      spoiler: review?.spoilerWarning || false,
+      dateAdded: dates.length > 0 ? new Date(Math.min(...dates)) : null,
+      dateStarted: builtinEntry?.dateStarted || review?.readingStartDate || null,
+      dateRead: builtinEntry?.dateFinished || review?.readingEndDate || null,
+      notes: bookEntries.map(entry => entry.notes).filter(Boolean).join('\n') || null
+    };
+  }
+}
+
+const csvRow = (record) => toCsvRow([
+  record.title,
+  record.author,
+  record.additionalAuthors.join(', '),
+  record.isbn13,
+  record.isbn10,
+  record.publisher,
+  record.pageCount,
+  year(record.publishedDate),
+  year(record.originalPublishedDate),
+  record.shelf,
+  record.shelves.join(', '),
+  record.rating,
+  record.reviewTitle,
+  record.review,
+  record.spoiler ? 'true' : '',
+  isoDate(record.dateAdded),
+  isoDate(record.dateStarted),
+  isoDate(record.dateRead),
+  record.notes
+]);
+
+// Books that were only reviewed count as read
+const exclusiveShelf = record => GOODREADS_SHELF_NAMES[record.shelf] || (record.rating ? 'read' : 'to-read');
+
+const goodreadsRow = (record) => toCsvRow([
+  record.book,
+  record.title,
+  record.author,
+  lastFirst(record.author),
+  record.additionalAuthors.join(', '),
+  `="${record.isbn10 || ''}"`,
+  `="${record.isbn13 || ''}"`,
+  record.rating || 0,
+  record.averageRating.toFixed(2),
+  record.publisher,
+  '',
+  record.pageCount,
+  year(record.publishedDate),
+  year(record.originalPublishedDate),
+  goodreadsDate(record.dateRead),
+  goodreadsDate(record.dateAdded),
+  record.shelves.join(', '),
+  '',
+  exclusiveShelf(record),
+  (record.review || '').replace(/\n/g, '<br/>'),
+  record.spoiler ? 'true' : '',
+  record.notes,
+  exclusiveShelf(record) === 'read' ? 1 : 0,
+  0
+]);
+
+// Write a chunk, waiting for the stream to drain when its buffer is full
+const write = (stream, chunk) => {
+  if (stream.write(chunk)) return Promise.resolve();
+  return new Promise(resolve => {
+    stream.once('drain', resolve);
+    stream.once('close', resolve);
+  });
+};
+
+// Write the user's library to a writable stream (such as an HTTP response)
+// one book at a time. Returns the number of books written.
+const writeLibraryExport = async (stream, userId, format) => {
+  let count = 0;
+
+  if (format === 'json') {
+    await write(stream, `{"exportedAt":${JSON.stringify(new Date())},"books":[`);
+    for await (const record of libraryRecords(userId)) {
+      await write(stream, `${count > 0 ? ',' : ''}\n${JSON.stringify(record)}`);
+      count += 1;
+    }
+    await write(stream, '\n]}\n');
+    return count;
+  }
+
+  const goodreads = format === 'goodreads';
+  await write(stream, toCsvRow(goodreads ? GOODREADS_HEADERS : CSV_HEADERS));
+  for await (const record of libraryRecords(userId)) {
+    await write(stream, goodreads ? goodreadsRow(record) : csvRow(record));
+    count += 1;
+  }
+  return count;
+};
+
+module.exports = { writeLibraryExport, EXPORT_FORMATS };
@@ -0,0 +1,75 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Mail transports. Each transport is an async function receiving
+// { to, subject, text, html } and delivering it somewhere.
+const transports = {
+  // Development: print the message to the server log
+  console: async (message) => {
+    console.log('--- Outgoing mail ---');
+    console.log(`To: ${message.to}`);
+    console.log(`Subject: ${message.subject}`);
+    console.log('');
+    console.log(message.text);
+    console.log('---------------------');
+  },
+
+  // Development: write each message as a JSON file in MAIL_DIR
+  file: async (message) => {
+    const dir = process.env.MAIL_DIR || path.join(__dirname, '..', 'mail-outbox');
+    await fs.mkdir(dir, { recursive: true });
+
+    const fileName = `${Date.now()}-${message.to.replace(/[^a-zA-Z0-9@._-]/g, '_')}.json`;
+    await fs.writeFile(
+      path.join(dir, fileName),
+      JSON.stringify({ ...message, sentAt: new Date() }, null, 2)
+    );
+  },
+
+  // Production: send through an SMTP server (requires nodemailer)
+  smtp: async (message) => {
+    const nodemailer = require('nodemailer');
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+
+    await transporter.sendMail({
+      from: process.env.MAIL_FROM || 'Book Review <no-reply@bookreview.local>',
+      ...message
+    });
+  }
+};
+
+// Register a custom transport (e.g. a third-party mail API)
+const registerTransport = (name, transport) => {
+  transports[name] = transport;
+};
+
+// Outside production MAIL_TRANSPORT defaults to console. Production must name
+// a transport: the console one would log password reset and verification links.
+const transportName = () => {
+  if (process.env.MAIL_TRANSPORT) return process.env.MAIL_TRANSPORT;
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('MAIL_TRANSPORT must be set in production');
+  }
+  return 'console';
+};
+
+// Send an email using the transport named by MAIL_TRANSPORT
+const sendMail = async ({ to, subject, text, html }) => {
+  const name = transportName();
+  const transport = transports[name];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  await transport({ to, subject, text, html });
+};
+
+module.exports = { sendMail, registerTransport };
@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+const { query } = require('express-validator');
+
+// Query parameters for cursor pagination, next to a route's own page and limit
+const cursorValidators = [
+  query('after').optional().isString(),
+  query('before')
+    .optional()
+    .isString()
+    .custom((value, { req }) => req.query.after === undefined)
+    .withMessage('Use either after or before, not both'),
+  query('includeTotal').optional().isBoolean()
+];
+
+// The sort as [field, direction] pairs ending with _id, so that ties keep a
+// fixed order. Text score sorts can't be resumed from a cursor and are left out.
+const sortKeys = (sort) => {
+  const keys = Object.entries(sort).filter(([, direction]) => typeof direction === 'number');
+  if (!keys.some(([field]) => field === '_id')) {
+    keys.push(['_id', keys.length > 0 ? keys[keys.length - 1][1] : -1]);
+  }
+  return keys;
+};
+
+const encodeValue = value => (value instanceof Date ? { $date: value.toISOString() } : value ?? null);
+const decodeValue = value => (value?.$date ? new Date(value.$date) : value);
+
+// Opaque cursor holding the sort keys and the document's values for them
+const encodeCursor = (doc, keys) => {
+  const values = keys.map(([field]) => (field === '_id' ? doc._id.toString() : encodeValue(doc.get(field))));
+  return Buffer.from(JSON.stringify({ sort: keys, values })).toString('base64url');
+};
+
+// The cursor's values, or null when it is malformed or was issued for a
+// different sort order
+const decodeCursor = (cursor, keys) => {
+  try {
+    const { sort, values } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (JSON.stringify(sort) !== JSON.stringify(keys) || values.length !== keys.length) return null;
+    return values.map((value, i) => (keys[i][0] === '_id' ? new mongoose.Types.ObjectId(value) : decodeValue(value)));
+  } catch (error) {
+    return null;
+  }
+};
+
+// Condition for `field` being past `value` in `direction`. Nulls and missing
+// values sort first, and compare only with each other, so they need their own cases.
+const beyond = (field, direction, value) => {
+  if (value === null) {
+    return direction === 1 ? { [field]: { $ne: null } } : null;
+  }
+  return direction === 1
+    ? { [field]: { $gt: value } }
+    : { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+};
+
+// Documents after the cursor position in `keys` order, or before it when `backwards`
+const keysetCondition = (keys, values, backwards) => ({
+  $or: keys
+    .map(([field, direction], i) => {
+      const step = beyond(field, backwards ? -direction : direction, values[i]);
+      if (!step) return null;
+      const ties = keys.slice(0, i).map(([tiedField], j) => ({ [tiedField]: values[j] }));
+      return { $and: [...ties, step] };
+    })
+    .filter(Boolean)
+});
+
+// One page of `model.find(filter)` in `sort` order, with `build` adding the
+// route's populate/select. Pages are picked by ?after= / ?before= cursors, or
+// by ?page= for older clients. The total is counted for page numbers unless
+// ?includeTotal=false, and for cursors only with ?includeTotal=true.
+// Pass `cursors: false` for sorts a cursor can't resume (e.g. on an array).
+// Resolves to { items, pagination }, or sends a 400 and resolves to null when
+// the cursor can't be used.
+const paginate = async (req, res, { model, filter, sort, defaultLimit, build = q => q, cursors = true }) => {
+  const limit = parseInt(req.query.limit) || defaultLimit;
+  const keys = sortKeys(sort);
+  const backwards = req.query.before !== undefined;
+  const cursor = backwards ? req.query.before : req.query.after;
+
+  if (cursor !== undefined) {
+    const values = cursors ? decodeCursor(cursor, keys) : null;
+    if (!values) {
+      res.status(400).json({
+        message: cursors
+          ? 'Invalid cursor, or it was issued for a different sort order'
+          : 'Cursor pagination is not available for this sort order'
+      });
+      return null;
+    }
+
+    const conditions = { ...filter, $and: [...(filter.$and || []), keysetCondition(keys, values, backwards)] };
+    const [found, total] = await Promise.all([
+      build(model.find(conditions))
+        .sort(Object.fromEntries(keys.map(([field, direction]) => [field, backwards ? -direction : direction])))
+        .limit(limit + 1),
+      req.query.includeTotal === 'true' ? model.countDocuments(filter) : undefined
+    ]);
+
+    const hasMore = found.length > limit;
+    const items = found.slice(0, limit);
+    if (backwards) items.reverse();
+
+    // Coming from a cursor there is always something on the side we came from
+    const first = items[0];
+    const last = items[items.length - 1];
+    return {
+      items,
+      pagination: {
+        limit,
+        nextCursor: last && (hasMore || backwards) ? encodeCursor(last, keys) : null,
+        prevCursor: first && (hasMore || !backwards) ? encodeCursor(first, keys) : null,
+        ...(total !== undefined && { total })
+      }
+    };
+  }
+
+  const page = parseInt(req.query.page) || 1;
+  const pageSort = Object.fromEntries([...Object.entries(sort), ...keys.filter(([field]) => !(field in sort))]);
+
+  const [found, total] = await Promise.all([
+    build(model.find(filter))
+      .sort(pageSort)
+      .skip((page - 1) * limit)
+      .limit(limit + 1),
+    req.query.includeTotal === 'false' ? undefined : model.countDocuments(filter)
+  ]);
+
+  const hasMore = found.length > limit;
+  const items = found.slice(0, limit);
+
+  // Cursors from a numbered page let clients switch to cursor pagination
+  const withCursors = cursors && items.length > 0;
+  return {
+    items,
+    pagination: {
+      current: page,
+      ...(total !== undefined && { pages: Math.ceil(total / limit), total }),
+      limit,
+      nextCursor: withCursors && hasMore ? encodeCursor(items[items.length - 1], keys) : null,
+      prevCursor: withCursors && page > 1 ? encodeCursor(items[0], keys) : null
+    }
+  };
+};
+
+module.exports = { cursorValidators, paginate };
@@ -0,0 +1,35 @@
+// Lowercase words with accents and punctuation stripped:
+// "J.R.R. Tolkien" -> ['j', 'r', 'r', 'tolkien']
+const searchWords = (text) => {
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+};
+
+// Keys stored on a document for prefix search: each word, plus the words run
+// together, so "tolk" and "jrrto" both find "J.R.R. Tolkien"
+const searchKeys = (...texts) => {
+  const keys = texts.filter(Boolean).flatMap((text) => {
+    const words = searchWords(text);
+    return words.length > 1 ? [...words, words.join('')] : words;
+  });
+  return [...new Set(keys)];
+};
+
+// Filter for documents with a key starting with each word typed so far.
+// Keys only hold letters and digits, so the words need no regex escaping,
+// and anchored case-sensitive regexes can use the searchKeys index.
+const prefixFilter = (text) => ({
+  searchKeys: { $all: searchWords(text).map(word => new RegExp(`^${word}`)) }
+});
+
+// Sort rank for a match: 0 when the whole name starts with the query,
+// 1 when it only matches word by word
+const prefixRank = (name, text) => {
+  return searchWords(name).join('').startsWith(searchWords(text).join('')) ? 0 : 1;
+};
+
+module.exports = { searchWords, searchKeys, prefixFilter, prefixRank };
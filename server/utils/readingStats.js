@@ -0,0 +1,61 @@
+const DAY = 24 * 60 * 60 * 1000;
+
+// Calendar day (UTC) a date falls on, as a day number
+const dayNumber = (date) => Math.floor(new Date(date).getTime() / DAY);
+
+// Derived figures for one book from its reading updates (oldest first)
+const summarizeProgress = (updates, { dateStarted, dateFinished, totalPages } = {}) => {
+  const pageUpdates = updates.filter(update => update.page != null);
+  const latest = pageUpdates[pageUpdates.length - 1];
+
+  const startedAt = dateStarted || updates[0]?.createdAt;
+  const pages = latest?.totalPages || totalPages || null;
+  const currentPage = dateFinished && pages ? pages : latest?.page || 0;
+  const percentage = pages ? Math.min(100, Math.round((currentPage / pages) * 1000) / 10) : latest?.percentage || 0;
+
+  const endOfReading = dateFinished || latest?.createdAt;
+  const daysReading = startedAt && endOfReading
+    ? Math.max(1, Math.ceil((new Date(endOfReading) - new Date(startedAt)) / DAY))
+    : null;
+
+  const pagesPerDay = daysReading && currentPage
+    ? Math.round((currentPage / daysReading) * 10) / 10
+    : null;
+
+  let estimatedFinishDate = null;
+  if (!dateFinished && pagesPerDay && pages && currentPage < pages) {
+    const daysLeft = Math.ceil((pages - currentPage) / pagesPerDay);
+    estimatedFinishDate = new Date(Date.now() + daysLeft * DAY);
+  }
+
+  return {
+    currentPage,
+    totalPages: pages,
+    percentage,
+    pagesPerDay,
+    daysReading,
+    estimatedFinishDate,
+    timeToFinish: dateFinished ? daysReading : null
+  };
+};
+
+// Current and longest runs of consecutive days with at least one reading update
+const readingStreaks = (dates) => {
+  const days = [...new Set(dates.map(dayNumber))].sort((a, b) => a - b);
+
+  let longest = 0;
+  let run = 0;
+  days.forEach((day, index) => {
+    run = index > 0 && day === days[index - 1] + 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  });
+
+  // The current streak survives until a full day passes without reading
+  const today = dayNumber(new Date());
+  const lastDay = days[days.length - 1];
+  const current = lastDay === today || lastDay === today - 1 ? run : 0;
+
+  return { current, longest };
+};
+
+module.exports = { summarizeProgress, readingStreaks };
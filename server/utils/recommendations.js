@@ -0,0 +1,247 @@
+const Book = require('../models/Book');
+const Review = require('../models/Review');
+const Shelf = require('../models/Shelf');
+const ShelfEntry = require('../models/ShelfEntry');
+const WorkSimilarity = require('../models/WorkSimilarity');
+
+// Similarity model
+const MAX_RATINGS_PER_READER = 500;
+const MIN_COMMON_RATERS = 2;
+// Damps scores backed by few readers: 2 common raters keep 2/7 of the score
+const SHRINKAGE = 5;
+const MAX_NEIGHBORS = 50;
+const WRITE_BATCH_SIZE = 500;
+
+// Ratings above this pull a reader towards similar works, ratings below push away
+const NEUTRAL_RATING = 3;
+const MAX_REASONS = 3;
+
+// Rebuild every work's list of similar works from review ratings (item-based
+// collaborative filtering). Two works are similar when readers rate them both
+// above, or both below, their own average: the cosine of their mean-centered
+// ratings over the readers who rated both. Lists from an earlier run for works
+// that no longer qualify are removed.
+const computeWorkSimilarities = async () => {
+  const computedAt = new Date();
+
+  // Each reader's ratings, one per work
+  const ratingsByReader = new Map();
+  const cursor = Review.find({ work: { $ne: null }, hidden: { $ne: true } })
+    .select('user work rating')
+    .lean()
+    .cursor();
+
+  for await (const review of cursor) {
+    const reader = review.user.toString();
+    if (!ratingsByReader.has(reader)) ratingsByReader.set(reader, new Map());
+    const ratings = ratingsByReader.get(reader);
+    if (ratings.size < MAX_RATINGS_PER_READER) {
+      ratings.set(review.work.toString(), review.rating);
+    }
+  }
+
+  // Per pair of works: sums over their common raters
+  const pairs = new Map();
+  for (const ratings of ratingsByReader.values()) {
+    if (ratings.size < 2) continue;
+
+    const mean = [...ratings.values()].reduce((sum, rating) => sum + rating, 0) / ratings.size;
+    const centered = [...ratings.entries()]
+      .map(([work, rating]) => ({ work, value: rating - mean }))
+      .sort((a, b) => (a.work < b.work ? -1 : 1));
+
+    for (let i = 0; i < centered.length; i++) {
+      for (let j = i + 1; j < centered.length; j++) {
+        const key = `${centered[i].work}|${centered[j].work}`;
+        const sums = pairs.get(key) || { product: 0, squaresA: 0, squaresB: 0, raters: 0 };
+        sums.product += centered[i].value * centered[j].value;
+        sums.squaresA += centered[i].value ** 2;
+        sums.squaresB += centered[j].value ** 2;
+        sums.raters += 1;
+        pairs.set(key, sums);
+      }
+    }
+  }
+
+  const neighbors = new Map();
+  const addNeighbor = (work, neighbor) => {
+    if (!neighbors.has(work)) neighbors.set(work, []);
+    neighbors.get(work).push(neighbor);
+  };
+
+  for (const [key, { product, squaresA, squaresB, raters }] of pairs) {
+    if (raters < MIN_COMMON_RATERS || product <= 0) continue;
+
+    const cosine = product / Math.sqrt(squaresA * squaresB);
+    const score = Math.round(cosine * (raters / (raters + SHRINKAGE)) * 10000) / 10000;
+    const [workA, workB] = key.split('|');
+    addNeighbor(workA, { work: workB, score, commonRaters: raters });
+    addNeighbor(workB, { work: workA, score, commonRaters: raters });
+  }
+
+  const operations = [...neighbors.entries()].map(([work, list]) => ({
+    updateOne: {
+      filter: { work },
+      update: {
+        $set: {
+          neighbors: list.sort((a, b) => b.score - a.score).slice(0, MAX_NEIGHBORS),
+          computedAt
+        }
+      },
+      upsert: true
+    }
+  }));
+
+  for (let i = 0; i < operations.length; i += WRITE_BATCH_SIZE) {
+    await WorkSimilarity.bulkWrite(operations.slice(i, i + WRITE_BATCH_SIZE));
+  }
+  const { deletedCount } = await WorkSimilarity.deleteMany({ computedAt: { $lt: computedAt } });
+
+  return { readers: ratingsByReader.size, works: neighbors.size, removed: deletedCount };
+};
+
+// "A", "A and B", "A, B and C"
+const listTitles = (titles) => {
+  return titles.length > 1
+    ? `${titles.slice(0, -1).join(', ')} and ${titles[titles.length - 1]}`
+    : titles[0];
+};
+
+// Works scored by the user's ratings of their precomputed neighbors, best
+// first, with the liked books behind each: [{ work, score, likedReviews }]
+const similarReaderPicks = async (reviews, excludedWorks) => {
+  const seeds = new Map(
+    reviews
+      .filter(review => review.work && review.rating !== NEUTRAL_RATING)
+      .map(review => [review.work.toString(), review])
+  );
+  if (seeds.size === 0) return [];
+
+  const similarities = await WorkSimilarity.find({ work: { $in: [...seeds.keys()] } }).lean();
+
+  const candidates = new Map();
+  similarities.forEach(({ work, neighbors }) => {
+    const review = seeds.get(work.toString());
+    const weight = review.rating - NEUTRAL_RATING;
+
+    neighbors.forEach((neighbor) => {
+      const key = neighbor.work.toString();
+      if (excludedWorks.has(key)) return;
+
+      const candidate = candidates.get(key) || { work: neighbor.work, score: 0, liked: [] };
+      candidate.score += neighbor.score * weight;
+      if (weight > 0) candidate.liked.push({ review, contribution: neighbor.score * weight });
+      candidates.set(key, candidate);
+    });
+  });
+
+  return [...candidates.values()]
+    .filter(candidate => candidate.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .map(({ work, score, liked }) => ({
+      work,
+      score,
+      likedReviews: liked
+        .sort((a, b) => b.contribution - a.contribution)
+        .slice(0, MAX_REASONS)
+        .map(({ review }) => review)
+    }));
+};
+
+// Up to `limit` books for `user`, each with a `reason` saying why it was
+// picked. Books similar readers loved come first; highly rated books in the
+// user's genres fill the rest, which is all a new user gets. Books the user
+// has reviewed or has on a built-in shelf (read, reading, want to read) are left out.
+const recommendFor = async (user, limit) => {
+  const shelves = await Shelf.find({ user: user._id, key: { $in: Shelf.BUILTIN_KEYS } }).select('key');
+  const [reviews, shelvedBookIds, readBookIds] = await Promise.all([
+    Review.find({ user: user._id }).select('book work rating hidden').populate('book', 'title genre'),
+    ShelfEntry.find({ shelf: { $in: shelves.map(shelf => shelf._id) } }).distinct('book'),
+    Shelf.bookIds(user._id, 'read')
+  ]);
+
+  // Hidden reviews still mark the book as read, but don't feed the public
+  // reasons or genres: their titles and ratings must not be shown
+  const visibleReviews = reviews.filter(review => !review.hidden);
+
+  const excludedBookIds = [...shelvedBookIds, ...reviews.map(review => review.book?._id).filter(Boolean)];
+  const shelvedWorks = await Book.find({ _id: { $in: shelvedBookIds } }).distinct('work');
+  const excludedWorks = new Set([
+    ...shelvedWorks.map(String),
+    ...reviews.filter(review => review.work).map(review => review.work.toString())
+  ]);
+
+  const listable = { primaryEdition: { $ne: false }, rejected: { $ne: true } };
+  const recommendations = [];
+
+  // Collaborative picks, shown through each work's primary edition
+  const picks = (await similarReaderPicks(visibleReviews, excludedWorks)).slice(0, limit);
+  if (picks.length > 0) {
+    const books = await Book.find({ ...listable, work: { $in: picks.map(pick => pick.work) } })
+      .populate('addedBy', 'username firstName lastName');
+    const booksByWork = new Map(books.map(book => [book.work.toString(), book]));
+
+    picks.forEach(({ work, score, likedReviews }) => {
+      const book = booksByWork.get(work.toString());
+      if (!book) return;
+
+      const likedTitles = likedReviews.map(review => review.book?.title).filter(Boolean);
+      recommendations.push({
+        ...book.toJSON(),
+        reason: {
+          type: 'similar-readers',
+          score: Math.round(score * 100) / 100,
+          basedOn: likedReviews.filter(review => review.book).map(review => ({
+            _id: review.book._id,
+            title: review.book.title,
+            rating: review.rating
+          })),
+          message: likedTitles.length > 0
+            ? `Readers who liked ${listTitles(likedTitles)} also loved this`
+            : 'Readers who rate books like you do loved this'
+        }
+      });
+    });
+  }
+
+  if (recommendations.length >= limit) return recommendations;
+
+  // Genre fallback: the user's favorite genres and those of the books they've read or reviewed
+  const readGenres = await Book.find({ _id: { $in: readBookIds } }).distinct('genre');
+  const genres = [...new Set([
+    ...user.favoriteGenres,
+    ...readGenres,
+    ...visibleReviews.map(review => review.book?.genre).filter(Boolean)
+  ])];
+
+  const pickedIds = recommendations.map(book => book._id);
+  const popular = await Book.find({
+    ...listable,
+    ...(genres.length > 0 && { genre: { $in: genres } }),
+    _id: { $nin: [...excludedBookIds, ...pickedIds] },
+    work: { $nin: [...excludedWorks] },
+    averageRating: { $gte: 4 },
+    ratingsCount: { $gte: 5 }
+  })
+    .sort({ averageRating: -1, ratingsCount: -1 })
+    .limit(limit - recommendations.length)
+    .populate('addedBy', 'username firstName lastName');
+
+  popular.forEach((book) => {
+    let message = 'Highly rated by readers';
+    if (user.favoriteGenres.includes(book.genre)) {
+      message = `Highly rated in ${book.genre}, one of your favorite genres`;
+    } else if (genres.includes(book.genre)) {
+      message = `Highly rated in ${book.genre}, a genre you read`;
+    }
+
+    recommendations.push({
+      ...book.toJSON(),
+      reason: { type: genres.length > 0 ? 'genre' : 'popular', genre: book.genre, message }
+    });
+  });
+
+  return recommendations;
+};
+
+module.exports = { computeWorkSimilarities, recommendFor };
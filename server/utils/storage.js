@@ -0,0 +1,97 @@
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+
+// Uploaded files are served by the API under this path, so stored URLs stay
+// the same whichever backend holds the bytes
+const PUBLIC_PATH = '/api/uploads';
+
+// Storage backends. Each backend stores files under a key such as
+// "covers/<bookId>/<id>-large.webp" and implements:
+//   save(key, buffer, contentType)  store a file
+//   read(key)                       resolve to { stream, contentType, size } or null
+//   remove(key)                     delete a file (missing files are ignored)
+const backends = {
+  // Development and single-server deployments: files in UPLOAD_DIR
+  local: (() => {
+    const root = () => path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'));
+    const resolve = key => path.join(root(), ...key.split('/'));
+
+    return {
+      save: async (key, buffer) => {
+        const file = resolve(key);
+        await fsp.mkdir(path.dirname(file), { recursive: true });
+        await fsp.writeFile(file, buffer);
+      },
+
+      read: async (key) => {
+        const file = resolve(key);
+        try {
+          const stats = await fsp.stat(file);
+          if (!stats.isFile()) return null;
+          return {
+            stream: fs.createReadStream(file),
+            contentType: contentTypeFor(key),
+            size: stats.size
+          };
+        } catch (error) {
+          if (error.code === 'ENOENT') return null;
+          throw error;
+        }
+      },
+
+      remove: async (key) => {
+        await fsp.rm(resolve(key), { force: true });
+      }
+    };
+  })()
+};
+
+const CONTENT_TYPES = {
+  '.webp': 'image/webp',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png'
+};
+
+const contentTypeFor = key => CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+
+// Register a custom backend (e.g. S3 or another object store)
+const registerBackend = (name, backend) => {
+  backends[name] = backend;
+};
+
+// The backend named by STORAGE_BACKEND (default: local)
+const getStorage = () => {
+  const name = process.env.STORAGE_BACKEND || 'local';
+  const backend = backends[name];
+
+  if (!backend) {
+    throw new Error(`Unknown storage backend: ${name}`);
+  }
+
+  return backend;
+};
+
+// Keys are path segments of letters, digits, dots, dashes and
+// underscores; anything else (including "..") is rejected
+const isValidKey = (key) => {
+  return key.split('/').every(segment => /^[a-z0-9_-][a-z0-9._-]*$/i.test(segment) && !segment.includes('..'));
+};
+
+const urlForKey = key => `${PUBLIC_PATH}/${key}`;
+
+// The storage key behind a URL we issued, or null for external URLs
+const keyForUrl = (url) => {
+  if (!url || !url.startsWith(`${PUBLIC_PATH}/`)) return null;
+  const key = url.slice(PUBLIC_PATH.length + 1);
+  return isValidKey(key) ? key : null;
+};
+
+// Delete the files behind any of the given URLs that we stored
+const removeUploads = async (urls) => {
+  const keys = urls.map(keyForUrl).filter(Boolean);
+  await Promise.all(keys.map(key => getStorage().remove(key)));
+};
+
+module.exports = { getStorage, registerBackend, isValidKey, urlForKey, keyForUrl, removeUploads };
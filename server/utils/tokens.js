@@ -0,0 +1,14 @@
+const crypto = require('crypto');
+
+// Hash a token before storing it so a database leak does not expose usable tokens
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Generate a random URL-safe token along with its stored hash
+const createToken = (bytes = 32) => {
+  const token = crypto.randomBytes(bytes).toString('hex');
+  return { token, hash: hashToken(token) };
+};
+
+module.exports = { hashToken, createToken };